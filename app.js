@@ -14,6 +14,15 @@ class App {
         this.socialMediaService = null;
         this.passportService = null;
         this.effectsService = null;
+        this.exportService = null;
+        this.customAspectRatio = null;
+        this.cropAdjustSession = null;
+        this.editingPlatformId = null;
+        this.frameService = null;
+        this.frameBadges = [];
+        this.editingPassportPresetId = null;
+        this.passportCustomUnit = 'mm';
+        this.backgroundImage = null;
         this.initialized = false;
     }
 
@@ -51,19 +60,70 @@ class App {
             this.photoshopService = new PhotoshopService(this.logger, this.errorHandler, this.validator);
             this.logger.info('Photoshop Service initialized');
 
-            this.backgroundService = new BackgroundService(this.photoshopService, this.logger, this.errorHandler);
+            this.backgroundService = new BackgroundService(
+                this.photoshopService,
+                this.logger,
+                this.errorHandler,
+                new PresetStore('background-presets.json', this.logger, this.errorHandler)
+            );
             this.logger.info('Background Service initialized');
 
-            this.socialMediaService = new SocialMediaService(this.photoshopService, this.logger, this.errorHandler);
+            this.exportService = new ExportService(this.photoshopService, this.logger, this.errorHandler);
+            this.logger.info('Export Service initialized');
+
+            this.socialMediaService = new SocialMediaService(
+                this.photoshopService,
+                this.logger,
+                this.errorHandler,
+                new PresetStore('platform-presets.json', this.logger, this.errorHandler),
+                this.exportService
+            );
             this.logger.info('Social Media Service initialized');
 
-            this.passportService = new PassportService(this.photoshopService, this.logger, this.errorHandler, this.backgroundService);
+            this.frameService = new FrameService(
+                this.photoshopService,
+                this.logger,
+                this.errorHandler,
+                new PresetStore('frame-presets.json', this.logger, this.errorHandler)
+            );
+            this.logger.info('Frame Service initialized');
+
+            this.passportService = new PassportService(
+                this.photoshopService,
+                this.logger,
+                this.errorHandler,
+                this.backgroundService,
+                this.exportService,
+                new PresetStore('passport-presets.json', this.logger, this.errorHandler)
+            );
             this.logger.info('Passport Service initialized');
 
             this.effectsService = new EffectsService(this.photoshopService, this.logger, this.errorHandler);
             this.logger.info('Effects Service initialized');
 
-            // Step 4: Load activation state
+            // Step 4: Load user presets and build dynamic UI controls
+            await this.socialMediaService.loadCustomPlatforms();
+            this.renderPlatformControls();
+            this.renderCustomPlatformList();
+
+            await this.passportService.loadCustomPresets();
+            this.renderPassportPresets();
+            this.renderPassportCustomList();
+            this.renderRecentColors();
+            this.renderEdgeQualities();
+
+            await this.frameService.loadPresets();
+            this.renderFramePresets();
+            this.renderFrameBadgeList();
+            this.onFrameRingStyleChange();
+
+            await this.backgroundService.loadPresets();
+            this.renderBackgroundPresets();
+            this.onBackgroundPresetChange();
+
+            this.loadWorkOnCopySetting();
+
+            // Step 5: Load activation state
             const activationState = await this.licenseManager.loadActivationState();
             if (activationState && activationState.active) {
                 this.logger.info('License is activated, navigating to home');
@@ -194,7 +254,8 @@ class App {
     // SOCIAL MEDIA OPERATIONS
     // ==========================================
 
-    async createSocialMediaPost() {
+    // overrides.cropBounds - crop fixed in the crop adjust step
+    async createSocialMediaPost(overrides = {}) {
         if (!this.initialized) return;
 
         try {
@@ -203,8 +264,20 @@ class App {
             // Get settings
             const platform = this.uiController.getInputValue('outputSize');
             const cropMode = this.uiController.getInputValue('cropMode');
-
-            this.logger.debug('Settings', { platform, cropMode });
+            const smartOptions = this.getSmartCropOptions('socialStatus');
+            if (!smartOptions) return;
+            const cropOptions = { ...smartOptions, cropBounds: overrides.cropBounds };
+            const showShapeGuide = this.uiController.isChecked('shapePreview');
+            const addFrame = this.uiController.isChecked('frameAfterCrop');
+
+            this.logger.debug('Settings', { platform, cropMode, cropOptions, showShapeGuide, addFrame });
+
+            // Validate the frame up front so a bad design doesn't leave a half-finished post
+            let frameDesign = null;
+            if (addFrame) {
+                frameDesign = this._readFrameDesign('socialStatus');
+                if (!frameDesign) return;
+            }
 
             // Validate document exists
             const docValidation = await this.validator.validateDocument(require('photoshop').app);
@@ -213,33 +286,54 @@ class App {
                 return;
             }
 
+            // Validate custom dimensions
+            let customSize = null;
+            if (platform === 'custom') {
+                customSize = this._readCustomSize('socialStatus');
+                if (!customSize) return;
+            }
+
             // Show loading
             this.uiController.setButtonLoading('cropBtn', 'Processing...');
             this.uiController.clearStatus('socialStatus');
             this.uiController.showLoadingOverlay('Creating social media post...');
 
+            await this.prepareWorkingDocument(this._getSocialOperationLabel(platform, customSize));
+
             // Create post
             let result;
             if (platform === 'original') {
                 // Just crop to square
-                await this.photoshopService.cropToSquare(null, cropMode);
-                result = { success: true, platform: 'Original Size' };
+                const crop = await this.photoshopService.cropToSquare(null, cropMode, cropOptions);
+                if (showShapeGuide) {
+                    await this.socialMediaService.addShapeGuide('circle');
+                }
+                result = { success: true, platform: 'Original Size', cropMethod: crop.method };
+            } else if (platform === 'custom') {
+                const { width, height } = customSize;
+                result = await this.socialMediaService.createCustomSize(width, height, cropMode, cropOptions);
+                result.platform = `Custom ${width}x${height}`;
             } else {
                 // Platform-specific
-                const platformMap = {
-                    '1080': 'instagram',
-                    '400': 'facebook',
-                    '180': 'twitter'
-                };
-                result = await this.socialMediaService.createProfilePicture(
-                    platformMap[platform] || 'instagram',
-                    cropMode
-                );
+                result = await this.socialMediaService.createProfilePicture(platform, cropMode, {
+                    ...cropOptions,
+                    showShapeGuide
+                });
+            }
+
+            if (frameDesign) {
+                this.uiController.showLoadingOverlay('Adding frame...');
+                const { shape, cornerRadius } = this._getFrameShape(platform);
+                await this.frameService.applyFrame(frameDesign, shape, cornerRadius);
             }
 
             // Show success
             this.uiController.hideLoadingOverlay();
-            this.uiController.showSuccess('socialStatus', `✓ ${result.platform} profile picture created successfully!`);
+            this.uiController.showSuccess('socialStatus',
+                `✓ ${result.platform} profile picture created successfully!` +
+                (frameDesign ? ' Frame added on separate layers.' : '') +
+                this._cropFallbackNote(cropMode, result.cropMethod)
+            );
             this.uiController.resetButton('cropBtn');
 
         } catch (error) {
@@ -250,137 +344,2064 @@ class App {
         }
     }
 
-    // ==========================================
-    // PASSPORT OPERATIONS
-    // ==========================================
+    // Reads the custom width/height fields. Returns null (and shows the error) when invalid.
+    _readCustomSize(statusId) {
+        const customSize = {
+            width: parseInt(this.uiController.getInputValue('customWidth')),
+            height: parseInt(this.uiController.getInputValue('customHeight'))
+        };
+
+        const dimValidation = this.validator.validateDimensions(customSize.width, customSize.height, 16, 16, 10000, 10000);
+        if (!dimValidation.valid) {
+            this.uiController.showError(statusId, dimValidation.error);
+            return null;
+        }
+
+        return customSize;
+    }
+
+    _getSocialOperationLabel(platform, customSize) {
+        if (platform === 'original') return 'Square';
+        if (platform === 'custom') return `Custom ${customSize.width}x${customSize.height}`;
+        const platformConfig = this.socialMediaService.getPlatform(platform);
+        return platformConfig ? platformConfig.name : platform;
+    }
+
+    onCropModeChange() {
+        if (this.uiController.getInputValue('cropMode') === 'smart') {
+            this.uiController.showElement('smartCropFields');
+        } else {
+            this.uiController.hideElement('smartCropFields');
+        }
+    }
+
+    // Reads the smart crop fields. Returns {} when smart crop is off (the fields are
+    // hidden then), or null (and shows the error) when invalid.
+    getSmartCropOptions(statusId) {
+        if (this.uiController.getInputValue('cropMode') !== 'smart') {
+            this.uiController.clearInputError('smartHeadroom');
+            this.uiController.clearInputError('smartSubjectFill');
+            return {};
+        }
+
+        const headroom = this.validator.validateNumber(this.uiController.getInputValue('smartHeadroom'), 0, 50);
+        if (!headroom.valid) {
+            this.uiController.showError(statusId, `Headroom: ${headroom.error}`);
+            this.uiController.highlightInvalidInput('smartHeadroom', headroom.error);
+            return null;
+        }
+
+        const subjectFill = this.validator.validateNumber(this.uiController.getInputValue('smartSubjectFill'), 20, 100);
+        if (!subjectFill.valid) {
+            this.uiController.showError(statusId, `Subject fill: ${subjectFill.error}`);
+            this.uiController.highlightInvalidInput('smartSubjectFill', subjectFill.error);
+            return null;
+        }
+
+        this.uiController.clearInputError('smartHeadroom');
+        this.uiController.clearInputError('smartSubjectFill');
+
+        return {
+            headroom: headroom.value / 100,
+            subjectFill: subjectFill.value / 100
+        };
+    }
+
+    _cropFallbackNote(requestedMode, appliedMode) {
+        return requestedMode === 'smart' && appliedMode && appliedMode !== 'smart'
+            ? ' (No subject detected - used center crop.)'
+            : '';
+    }
+
+    onOutputSizeChange() {
+        const platform = this.uiController.getInputValue('outputSize');
+        if (platform === 'custom') {
+            this.uiController.showElement('customSizeFields');
+        } else {
+            this.uiController.hideElement('customSizeFields');
+        }
+    }
+
+    onAspectLockChange() {
+        const width = parseInt(this.uiController.getInputValue('customWidth'));
+        const height = parseInt(this.uiController.getInputValue('customHeight'));
+
+        // Remember the ratio at the moment the lock is switched on
+        this.customAspectRatio = width > 0 && height > 0 ? width / height : null;
+        this.logger.debug('Aspect lock changed', { ratio: this.customAspectRatio });
+    }
+
+    onCustomSizeInput(changedId) {
+        if (!this.uiController.isChecked('customAspectLock') || !this.customAspectRatio) {
+            return;
+        }
+
+        if (changedId === 'customWidth') {
+            const width = parseInt(this.uiController.getInputValue('customWidth'));
+            if (width > 0) {
+                this.uiController.setInputValue('customHeight', Math.round(width / this.customAspectRatio));
+            }
+        } else {
+            const height = parseInt(this.uiController.getInputValue('customHeight'));
+            if (height > 0) {
+                this.uiController.setInputValue('customWidth', Math.round(height * this.customAspectRatio));
+            }
+        }
+    }
 
-    async createPassportPhoto() {
+    // overrides.cropBounds - crop fixed in the crop adjust step
+    async createBanner(overrides = {}) {
         if (!this.initialized) return;
 
         try {
-            this.logger.info('Create passport photo requested');
+            this.logger.info('Create banner requested');
 
             // Get settings
-            const preset = this.uiController.getInputValue('passportPreset');
-            const resolution = parseInt(this.uiController.getInputValue('passportResolution')) || 300;
+            const presetId = this.uiController.getInputValue('bannerPreset');
+            const cropMode = this.uiController.getInputValue('cropMode');
+            const showSafeZone = this.uiController.isChecked('bannerSafeZone');
+            const smartOptions = this.getSmartCropOptions('bannerStatus');
+            if (!smartOptions) return;
+            const cropOptions = { ...smartOptions, cropBounds: overrides.cropBounds };
 
-            this.logger.debug('Settings', { preset, resolution });
+            this.logger.debug('Settings', { presetId, cropMode, showSafeZone, cropOptions });
 
             // Validate document exists
             const docValidation = await this.validator.validateDocument(require('photoshop').app);
             if (!docValidation.valid) {
-                this.uiController.showError('passportStatus', docValidation.error);
+                this.uiController.showError('bannerStatus', docValidation.error);
                 return;
             }
 
-            // Validate resolution
-            const resValidation = this.validator.validateNumber(resolution, 72, 600);
-            if (!resValidation.valid) {
-                this.uiController.showError('passportStatus', resValidation.error);
-                this.uiController.highlightInvalidInput('passportResolution', resValidation.error);
+            // Show loading
+            this.uiController.setButtonLoading('bannerBtn', 'Processing...');
+            this.uiController.clearStatus('bannerStatus');
+            this.uiController.showLoadingOverlay('Creating banner...');
+
+            await this.prepareWorkingDocument(this.socialMediaService.bannerPresets[presetId].name);
+
+            const result = await this.socialMediaService.createBanner(presetId, cropMode, showSafeZone, cropOptions);
+
+            // Show success
+            this.uiController.hideLoadingOverlay();
+            this.uiController.showSuccess('bannerStatus',
+                `✓ ${result.preset} created (${result.width}x${result.height})` +
+                (showSafeZone ? '. Keep the subject inside the guides.' : '') +
+                this._cropFallbackNote(cropMode, result.cropMethod)
+            );
+            this.uiController.resetButton('bannerBtn');
+
+        } catch (error) {
+            this.logger.error('Failed to create banner', error);
+            this.uiController.hideLoadingOverlay();
+            this.uiController.showError('bannerStatus', error.message || 'Failed to create banner');
+            this.uiController.resetButton('bannerBtn');
+        }
+    }
+
+    onMaskShapeChange() {
+        if (this.uiController.getInputValue('maskShape') === 'rounded') {
+            this.uiController.showElement('maskRadiusFields');
+        } else {
+            this.uiController.hideElement('maskRadiusFields');
+        }
+    }
+
+    async exportMaskedAvatar() {
+        if (!this.initialized) return;
+
+        try {
+            this.logger.info('Export masked avatar requested');
+
+            // Get settings
+            const shape = this.uiController.getInputValue('maskShape');
+            let cornerRadius = null;
+            if (shape === 'rounded') {
+                const radiusValidation = this.validator.validateNumber(this.uiController.getInputValue('maskCornerRadius'), 1, 50);
+                if (!radiusValidation.valid) {
+                    this.uiController.showError('maskStatus', radiusValidation.error);
+                    this.uiController.highlightInvalidInput('maskCornerRadius', radiusValidation.error);
+                    return;
+                }
+                this.uiController.clearInputError('maskCornerRadius');
+                cornerRadius = radiusValidation.value / 100;
+            }
+
+            this.logger.debug('Settings', { shape, cornerRadius });
+
+            // Validate document exists
+            const docValidation = await this.validator.validateDocument(require('photoshop').app);
+            if (!docValidation.valid) {
+                this.uiController.showError('maskStatus', docValidation.error);
                 return;
             }
 
-            // Get background color option
-            const backgroundColor = this.uiController.getInputValue('passportBackground');
+            // Ask for the destination file
+            const file = await require('uxp').storage.localFileSystem.getFileForSaving(`avatar_${shape}.png`, {
+                types: ['png']
+            });
+            if (!file) {
+                this.logger.info('Masked avatar export cancelled');
+                return;
+            }
 
             // Show loading
-            this.uiController.setButtonLoading('passportBtn', 'Processing...');
-            this.uiController.clearStatus('passportStatus');
-            this.uiController.clearInputError('passportResolution');
-            this.uiController.showLoadingOverlay(
-                backgroundColor && backgroundColor !== 'none'
-                    ? 'Removing background and creating passport photo...'
-                    : 'Creating passport photo...'
-            );
+            this.uiController.setButtonLoading('maskBtn', 'Exporting...');
+            this.uiController.clearStatus('maskStatus');
+            this.uiController.showLoadingOverlay('Exporting masked avatar...');
 
-            // Create passport photo (with optional background replacement)
-            const bgColor = backgroundColor === 'none' ? null : backgroundColor;
-            const result = await this.passportService.createPassportPhoto(preset, resolution, 'smart', bgColor);
+            const result = await this.socialMediaService.exportMaskedAvatar(file, shape, cornerRadius);
 
             // Show success
             this.uiController.hideLoadingOverlay();
-            const bgMessage = result.backgroundColor !== 'original'
-                ? ` with ${result.backgroundColor} background`
-                : '';
-            this.uiController.showSuccess('passportStatus',
-                `✓ ${result.preset} photo created${bgMessage}! Dimensions: ${result.dimensions.widthMM}x${result.dimensions.heightMM}mm`
-            );
-            this.uiController.resetButton('passportBtn');
+            this.uiController.showSuccess('maskStatus', `✓ ${result.shape} PNG saved as ${result.fileName}`);
+            this.uiController.resetButton('maskBtn');
 
         } catch (error) {
-            this.logger.error('Failed to create passport photo', error);
+            this.logger.error('Failed to export masked avatar', error);
             this.uiController.hideLoadingOverlay();
-            this.uiController.showError('passportStatus', error.message || 'Failed to create passport photo');
-            this.uiController.resetButton('passportBtn');
+            this.uiController.showError('maskStatus', error.message || 'Failed to export masked avatar');
+            this.uiController.resetButton('maskBtn');
         }
     }
 
+    renderPlatformControls() {
+        const platforms = this.socialMediaService.getPlatformsList();
+
+        this.uiController.populateSelect('outputSize', [
+            ...platforms.map(platform => ({
+                value: platform.id,
+                label: `${platform.icon || '🖼️'} ${platform.name} (${platform.width}x${platform.height})`
+            })),
+            { value: 'custom', label: '✏️ Custom Size' },
+            { value: 'original', label: '📏 Original Size' }
+        ]);
+
+        this.uiController.populateSelect('bannerPreset',
+            this.socialMediaService.getBannerPresetsList().map(preset => ({
+                value: preset.id,
+                label: `${preset.icon || '🖼️'} ${preset.name} (${preset.width}x${preset.height})`
+            }))
+        );
+
+        this.uiController.renderCheckboxList('packPlatforms', platforms.map(platform => ({
+            value: platform.id,
+            label: `${platform.name} (${platform.width}x${platform.height})`
+        })));
+    }
+
     // ==========================================
-    // EFFECTS OPERATIONS
+    // CUSTOM PLATFORM PRESETS
     // ==========================================
 
-    async applyEffect() {
+    renderCustomPlatformList() {
+        const presets = this.socialMediaService.getCustomPlatforms();
+
+        this.uiController.renderItemList('customPlatformList',
+            presets.map(preset => ({
+                id: preset.id,
+                label: `${preset.name} (${preset.width}x${preset.height}, ${(preset.format || 'png').toUpperCase()}` +
+                    (preset.maxFileSizeKB ? `, ≤${preset.maxFileSizeKB} KB)` : ')')
+            })),
+            [
+                { label: 'Edit', onClick: (id) => this.editCustomPlatform(id) },
+                { label: 'Delete', onClick: (id) => this.deleteCustomPlatform(id) }
+            ],
+            'No custom platforms yet'
+        );
+    }
+
+    editCustomPlatform(id) {
+        const preset = this.socialMediaService.getCustomPlatforms().find(entry => entry.id === id);
+        if (!preset) return;
+
+        this.editingPlatformId = id;
+        this.uiController.setInputValue('platformPresetId', preset.id);
+        this.uiController.disableInput('platformPresetId');
+        this.uiController.setInputValue('platformPresetName', preset.name);
+        this.uiController.setInputValue('platformPresetWidth', preset.width);
+        this.uiController.setInputValue('platformPresetHeight', preset.height);
+        this.uiController.setInputValue('platformPresetShape', preset.shape || 'circle');
+        this.uiController.setInputValue('platformPresetFormat', preset.format || 'png');
+        this.uiController.setInputValue('platformPresetMaxKB', preset.maxFileSizeKB || '');
+        this.uiController.updateText('platformPresetSaveBtn', 'Update Platform');
+    }
+
+    resetCustomPlatformForm() {
+        this.editingPlatformId = null;
+        this.uiController.enableInput('platformPresetId');
+        ['platformPresetId', 'platformPresetName', 'platformPresetWidth', 'platformPresetHeight', 'platformPresetMaxKB']
+            .forEach(inputId => this.uiController.setInputValue(inputId, ''));
+        this.uiController.setInputValue('platformPresetShape', 'circle');
+        this.uiController.setInputValue('platformPresetFormat', 'png');
+        this.uiController.updateText('platformPresetSaveBtn', 'Save Platform');
+    }
+
+    async saveCustomPlatform() {
         if (!this.initialized) return;
 
         try {
-            this.logger.info('Apply effect requested');
+            const maxKB = this.uiController.getInputValue('platformPresetMaxKB');
+            const entry = {
+                id: (this.uiController.getInputValue('platformPresetId') || '').trim().toLowerCase(),
+                name: (this.uiController.getInputValue('platformPresetName') || '').trim(),
+                width: parseInt(this.uiController.getInputValue('platformPresetWidth')),
+                height: parseInt(this.uiController.getInputValue('platformPresetHeight')),
+                shape: this.uiController.getInputValue('platformPresetShape'),
+                format: this.uiController.getInputValue('platformPresetFormat')
+            };
+            if (maxKB) {
+                entry.maxFileSizeKB = parseInt(maxKB);
+            }
 
-            // Get effect type
-            const effectType = this.uiController.getInputValue('effectPicker');
+            const isUpdate = this.editingPlatformId === entry.id;
+            const validation = this.socialMediaService.validatePlatformPreset(entry, isUpdate);
+            if (!validation.valid) {
+                this.uiController.showError('platformPresetStatus', validation.error);
+                return;
+            }
 
-            this.logger.debug('Effect type', { effectType });
+            await this.socialMediaService.saveCustomPlatform(entry, isUpdate);
+
+            this.resetCustomPlatformForm();
+            this.renderCustomPlatformList();
+            this.renderPlatformControls();
+            this.uiController.showSuccess('platformPresetStatus', `✓ ${entry.name} saved`);
+
+        } catch (error) {
+            this.logger.error('Failed to save custom platform', error);
+            this.uiController.showError('platformPresetStatus', error.message || 'Failed to save platform');
+        }
+    }
+
+    async deleteCustomPlatform(id) {
+        try {
+            await this.socialMediaService.deleteCustomPlatform(id);
+
+            if (this.editingPlatformId === id) {
+                this.resetCustomPlatformForm();
+            }
+            this.renderCustomPlatformList();
+            this.renderPlatformControls();
+            this.uiController.showSuccess('platformPresetStatus', '✓ Platform deleted');
+
+        } catch (error) {
+            this.logger.error('Failed to delete custom platform', error);
+            this.uiController.showError('platformPresetStatus', error.message || 'Failed to delete platform');
+        }
+    }
+
+    // ==========================================
+    // BACKGROUNDS
+    // ==========================================
+
+    renderBackgroundPresets(selected = 'studio_white') {
+        const presets = this.backgroundService.getPresetsList();
+
+        this.uiController.populateSelect('backgroundPreset', [
+            { value: '', label: '— Custom design —' },
+            ...presets.map(preset => ({
+                value: preset.id,
+                label: preset.custom ? `⭐ ${preset.name}` : preset.name
+            }))
+        ], selected);
+    }
+
+    onBackgroundPresetChange() {
+        const presetId = this.uiController.getInputValue('backgroundPreset');
+        const preset = presetId ? this.backgroundService.getPreset(presetId) : null;
+        if (!preset) return;
+
+        this._applyBackgroundDesignToForm(preset);
+        this.uiController.setInputValue('backgroundPresetName', this.backgroundService.customPresets[presetId] ? preset.name : '');
+    }
+
+    onBackgroundTypeChange() {
+        const type = this.uiController.getInputValue('backgroundType');
+        const fields = {
+            color: 'backgroundColorFields',
+            gradient: 'backgroundGradientFields',
+            image: 'backgroundImageFields',
+            blur: 'backgroundBlurFields'
+        };
+
+        Object.entries(fields).forEach(([key, elementId]) => {
+            if (key === type) {
+                this.uiController.showElement(elementId);
+            } else {
+                this.uiController.hideElement(elementId);
+            }
+        });
+
+        const gradientType = this.uiController.getInputValue('backgroundGradientType');
+        if (gradientType === 'radial') {
+            this.uiController.hideElement('backgroundGradientAngleField');
+        } else {
+            this.uiController.showElement('backgroundGradientAngleField');
+        }
+    }
+
+    _applyBackgroundDesignToForm(design) {
+        this.uiController.setInputValue('backgroundType', design.type);
+
+        if (design.type === 'color') {
+            this.uiController.setInputValue('backgroundColor', design.color);
+        } else if (design.type === 'gradient') {
+            this.uiController.setInputValue('backgroundGradientStart', design.colors[0]);
+            this.uiController.setInputValue('backgroundGradientEnd', design.colors[1]);
+            this.uiController.setInputValue('backgroundGradientType', design.gradientType);
+            this.uiController.setInputValue('backgroundGradientAngle', design.angle !== undefined ? design.angle : 90);
+        } else if (design.type === 'image') {
+            this.backgroundImage = { token: design.token, fileName: design.fileName };
+        } else {
+            this.uiController.setInputValue('backgroundBlurRadius', design.blurRadius);
+        }
+
+        this.uiController.updateText('backgroundImageName', this.backgroundImage ? this.backgroundImage.fileName : 'No image chosen');
+        this.onBackgroundTypeChange();
+    }
+
+    // Reads the background form. Returns null (and shows the error) when invalid.
+    _readBackgroundDesign(statusId) {
+        const type = this.uiController.getInputValue('backgroundType');
+        const design = { type };
+
+        if (type === 'color') {
+            design.color = (this.uiController.getInputValue('backgroundColor') || '').trim();
+        } else if (type === 'gradient') {
+            design.colors = [
+                (this.uiController.getInputValue('backgroundGradientStart') || '').trim(),
+                (this.uiController.getInputValue('backgroundGradientEnd') || '').trim()
+            ];
+            design.gradientType = this.uiController.getInputValue('backgroundGradientType');
+            if (design.gradientType === 'linear') {
+                design.angle = parseFloat(this.uiController.getInputValue('backgroundGradientAngle'));
+            }
+        } else if (type === 'image') {
+            if (this.backgroundImage) {
+                design.token = this.backgroundImage.token;
+                design.fileName = this.backgroundImage.fileName;
+            }
+        } else {
+            design.blurRadius = parseInt(this.uiController.getInputValue('backgroundBlurRadius'));
+        }
+
+        const validation = this.backgroundService.validateBackgroundDesign(design);
+        if (!validation.valid) {
+            this.uiController.showError(statusId, validation.error);
+            return null;
+        }
+
+        return design;
+    }
+
+    async pickBackgroundImage() {
+        try {
+            const image = await this.backgroundService.pickBackgroundImage();
+            if (!image) return;
+
+            this.backgroundImage = image;
+            this.uiController.updateText('backgroundImageName', image.fileName);
+            this.uiController.clearStatus('backgroundStatus');
+
+        } catch (error) {
+            this.logger.error('Failed to choose background image', error);
+            this.uiController.showError('backgroundStatus', error.message || 'Failed to choose image');
+        }
+    }
+
+    async applyBackgroundDesign() {
+        if (!this.initialized) return;
+
+        try {
+            this.logger.info('Apply background design requested');
 
-            // Validate document exists
             const docValidation = await this.validator.validateDocument(require('photoshop').app);
             if (!docValidation.valid) {
-                this.uiController.showError('effectStatus', docValidation.error);
+                this.uiController.showError('backgroundStatus', docValidation.error);
                 return;
             }
 
-            // Show loading
-            this.uiController.setButtonLoading('applyEffect', 'Applying...');
-            this.uiController.clearStatus('effectStatus');
-            this.uiController.showLoadingOverlay('Applying effect...');
+            const design = this._readBackgroundDesign('backgroundStatus');
+            if (!design) return;
 
-            // Apply effect
-            const result = await this.effectsService.applyEffect(effectType);
+            const method = this.uiController.getInputValue('backgroundRemovalMethod');
+            const edge = this.uiController.getInputValue('backgroundEdgeQuality');
+
+            this.uiController.setButtonLoading('backgroundBtn', 'Applying...');
+            this.uiController.clearStatus('backgroundStatus');
+            this.uiController.showLoadingOverlay('Replacing background...');
+
+            await this.prepareWorkingDocument('Background');
+
+            const result = await this.backgroundService.applyBackground(design, method, { edge });
 
-            // Show success
             this.uiController.hideLoadingOverlay();
-            this.uiController.showSuccess('effectStatus',
-                `✓ ${result.effect} applied successfully! ${result.description}`
+            this.uiController.showSuccess('backgroundStatus',
+                `✓ ${result.message}${result.reusedCutout ? ' (existing cut-out reused)' : ''}`
             );
-            this.uiController.resetButton('applyEffect');
+            this.uiController.resetButton('backgroundBtn');
 
         } catch (error) {
-            this.logger.error('Failed to apply effect', error);
+            this.logger.error('Failed to apply background design', error);
             this.uiController.hideLoadingOverlay();
-            this.uiController.showError('effectStatus', error.message || 'Failed to apply effect');
-            this.uiController.resetButton('applyEffect');
+            this.uiController.showError('backgroundStatus', error.message || 'Failed to replace background');
+            this.uiController.resetButton('backgroundBtn');
+        }
+    }
+
+    async saveBackgroundPreset() {
+        if (!this.initialized) return;
+
+        try {
+            const name = (this.uiController.getInputValue('backgroundPresetName') || '').trim();
+            if (!name) {
+                this.uiController.showError('backgroundStatus', 'Enter a name for the background preset');
+                return;
+            }
+
+            const design = this._readBackgroundDesign('backgroundStatus');
+            if (!design) return;
+
+            const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'background';
+            const isUpdate = !!this.backgroundService.customPresets[id];
+            const entry = { id, name, ...design };
+
+            const validation = this.backgroundService.validateBackgroundPreset(entry, isUpdate);
+            if (!validation.valid) {
+                this.uiController.showError('backgroundStatus', validation.error);
+                return;
+            }
+
+            await this.backgroundService.savePreset(entry, isUpdate);
+
+            this.renderBackgroundPresets(id);
+            this.uiController.showSuccess('backgroundStatus', `✓ Background preset "${name}" ${isUpdate ? 'updated' : 'saved'}`);
+
+        } catch (error) {
+            this.logger.error('Failed to save background preset', error);
+            this.uiController.showError('backgroundStatus', error.message || 'Failed to save background preset');
+        }
+    }
+
+    async deleteBackgroundPreset() {
+        if (!this.initialized) return;
+
+        try {
+            const presetId = this.uiController.getInputValue('backgroundPreset');
+            if (!presetId || !this.backgroundService.customPresets[presetId]) {
+                this.uiController.showError('backgroundStatus', 'Select one of your saved backgrounds to delete');
+                return;
+            }
+
+            await this.backgroundService.deletePreset(presetId);
+
+            this.renderBackgroundPresets('');
+            this.uiController.setInputValue('backgroundPresetName', '');
+            this.uiController.showSuccess('backgroundStatus', '✓ Background preset deleted');
+
+        } catch (error) {
+            this.logger.error('Failed to delete background preset', error);
+            this.uiController.showError('backgroundStatus', error.message || 'Failed to delete background preset');
         }
     }
 
     // ==========================================
-    // ERROR HANDLING
+    // FRAMES, RINGS & BADGES
     // ==========================================
 
-    handleGlobalError(errorInfo) {
-        this.logger.error('Global error handler triggered', null, errorInfo);
+    renderFramePresets(selected = '') {
+        const presets = this.frameService.getPresetsList();
 
-        // Show user-friendly message
-        if (errorInfo.userMessage) {
-            // Determine which status element to use based on current page
-            const statusElements = {
-                'pageLicense': 'status',
-                'pageSocial': 'socialStatus',
-                'pagePassport': 'passportStatus',
-                'pageEffects': 'effectStatus'
-            };
+        this.uiController.populateSelect('framePreset', [
+            { value: '', label: '— Custom design —' },
+            ...presets.map(preset => ({
+                value: preset.id,
+                label: preset.custom ? `⭐ ${preset.name}` : preset.name
+            }))
+        ], selected);
+    }
 
-            const statusId = statusElements[this.uiController.getCurrentPage()] || 'status';
-            this.uiController.showError(statusId, errorInfo.userMessage);
+    onFramePresetChange() {
+        const presetId = this.uiController.getInputValue('framePreset');
+        const preset = presetId ? this.frameService.getPreset(presetId) : null;
+        if (!preset) return;
+
+        this._applyFrameDesignToForm(preset);
+        this.uiController.setInputValue('framePresetName', preset.name);
+    }
+
+    onFrameRingStyleChange() {
+        const style = this.uiController.getInputValue('frameRingStyle');
+
+        if (style === 'none') {
+            this.uiController.hideElement('frameRingFields');
+        } else {
+            this.uiController.showElement('frameRingFields');
+        }
+
+        if (style === 'gradient') {
+            this.uiController.hideElement('frameSolidFields');
+            this.uiController.showElement('frameGradientFields');
+        } else {
+            this.uiController.showElement('frameSolidFields');
+            this.uiController.hideElement('frameGradientFields');
+        }
+    }
+
+    _applyFrameDesignToForm(design) {
+        const ring = design.ring;
+        this.uiController.setInputValue('frameRingStyle', ring ? ring.style : 'none');
+        if (ring) {
+            this.uiController.setInputValue('frameRingWidth', ring.width);
+            if (ring.style === 'gradient') {
+                this.uiController.setInputValue('frameGradientColors', ring.colors.join(', '));
+                this.uiController.setInputValue('frameGradientType', ring.gradientType || 'linear');
+            } else {
+                this.uiController.setInputValue('frameRingColor', ring.color);
+            }
+        }
+        this.onFrameRingStyleChange();
+
+        const text = design.text;
+        this.uiController.setInputValue('frameText', text ? text.content : '');
+        this.uiController.setInputValue('frameTextColor', text && text.color ? text.color : '#FFFFFF');
+        this.uiController.setInputValue('frameTextPosition', text && text.position ? text.position : 'bottom');
+
+        this.frameBadges = (design.badges || []).map(badge => ({ ...badge }));
+        this.renderFrameBadgeList();
+    }
+
+    // Reads the frame form. Returns null (and shows the error) when invalid.
+    _readFrameDesign(statusId) {
+        const design = {};
+
+        const ringStyle = this.uiController.getInputValue('frameRingStyle');
+        if (ringStyle !== 'none') {
+            design.ring = {
+                style: ringStyle,
+                width: parseFloat(this.uiController.getInputValue('frameRingWidth'))
+            };
+
+            if (ringStyle === 'gradient') {
+                design.ring.colors = (this.uiController.getInputValue('frameGradientColors') || '')
+                    .split(',')
+                    .map(color => color.trim())
+                    .filter(Boolean);
+                design.ring.gradientType = this.uiController.getInputValue('frameGradientType');
+            } else {
+                design.ring.color = (this.uiController.getInputValue('frameRingColor') || '').trim();
+            }
+        }
+
+        const text = (this.uiController.getInputValue('frameText') || '').trim();
+        if (text) {
+            design.text = {
+                content: text,
+                color: (this.uiController.getInputValue('frameTextColor') || '').trim() || '#FFFFFF',
+                position: this.uiController.getInputValue('frameTextPosition')
+            };
+        }
+
+        if (this.frameBadges.length > 0) {
+            design.badges = this.frameBadges.map(badge => ({ ...badge }));
+        }
+
+        const validation = this.frameService.validateFrameDesign(design);
+        if (!validation.valid) {
+            this.uiController.showError(statusId, validation.error);
+            return null;
+        }
+
+        return design;
+    }
+
+    // Rings follow the target platform's avatar shape
+    _getFrameShape(platform) {
+        const platformConfig = platform ? this.socialMediaService.getPlatform(platform) : null;
+        const shape = platformConfig && platformConfig.shape ? platformConfig.shape : 'circle';
+
+        return {
+            shape,
+            cornerRadius: this.socialMediaService.shapes.rounded.cornerRadius
+        };
+    }
+
+    renderFrameBadgeList() {
+        const positionLabels = {
+            topLeft: 'top left',
+            topRight: 'top right',
+            bottomLeft: 'bottom left',
+            bottomRight: 'bottom right'
+        };
+
+        this.uiController.renderItemList('frameBadgeList',
+            this.frameBadges.map((badge, index) => ({
+                id: index,
+                label: `${badge.fileName} (${positionLabels[badge.position]}, ${badge.size}%)`
+            })),
+            [{ label: 'Remove', onClick: (index) => this.removeFrameBadge(index) }],
+            'No badges'
+        );
+    }
+
+    async addFrameBadge() {
+        try {
+            if (this.frameBadges.length >= this.frameService.maxBadges) {
+                this.uiController.showError('frameStatus', `A frame can have at most ${this.frameService.maxBadges} badges`);
+                return;
+            }
+
+            const size = parseInt(this.uiController.getInputValue('frameBadgeSize'));
+            const sizeValidation = this.validator.validateNumber(size, 5, 50);
+            if (!sizeValidation.valid) {
+                this.uiController.showError('frameStatus', `Badge size: ${sizeValidation.error}`);
+                return;
+            }
+
+            const badge = await this.frameService.pickBadgeFile();
+            if (!badge) return;
+
+            this.frameBadges.push({
+                ...badge,
+                position: this.uiController.getInputValue('frameBadgePosition'),
+                size
+            });
+            this.renderFrameBadgeList();
+            this.uiController.clearStatus('frameStatus');
+
+        } catch (error) {
+            this.logger.error('Failed to add badge', error);
+            this.uiController.showError('frameStatus', error.message || 'Failed to add badge');
+        }
+    }
+
+    removeFrameBadge(index) {
+        this.frameBadges.splice(index, 1);
+        this.renderFrameBadgeList();
+    }
+
+    async applyFrame() {
+        if (!this.initialized) return;
+
+        try {
+            this.logger.info('Apply frame requested');
+
+            const docValidation = await this.validator.validateDocument(require('photoshop').app);
+            if (!docValidation.valid) {
+                this.uiController.showError('frameStatus', docValidation.error);
+                return;
+            }
+
+            const design = this._readFrameDesign('frameStatus');
+            if (!design) return;
+
+            const { shape, cornerRadius } = this._getFrameShape(this.uiController.getInputValue('outputSize'));
+
+            this.uiController.setButtonLoading('frameBtn', 'Drawing...');
+            this.uiController.clearStatus('frameStatus');
+            this.uiController.showLoadingOverlay('Adding frame...');
+
+            await this.prepareWorkingDocument('Frame');
+
+            const result = await this.frameService.applyFrame(design, shape, cornerRadius);
+
+            this.uiController.hideLoadingOverlay();
+            this.uiController.showSuccess('frameStatus', `✓ Frame added (${result.layers.length} layer${result.layers.length === 1 ? '' : 's'})`);
+            this.uiController.resetButton('frameBtn');
+
+        } catch (error) {
+            this.logger.error('Failed to apply frame', error);
+            this.uiController.hideLoadingOverlay();
+            this.uiController.showError('frameStatus', error.message || 'Failed to add frame');
+            this.uiController.resetButton('frameBtn');
+        }
+    }
+
+    async removeFrame() {
+        if (!this.initialized) return;
+
+        try {
+            const result = await this.frameService.removeFrame();
+            this.uiController.showSuccess('frameStatus',
+                result.removed > 0 ? '✓ Frame removed' : 'No frame layers found'
+            );
+        } catch (error) {
+            this.logger.error('Failed to remove frame', error);
+            this.uiController.showError('frameStatus', error.message || 'Failed to remove frame');
+        }
+    }
+
+    async saveFramePreset() {
+        if (!this.initialized) return;
+
+        try {
+            const name = (this.uiController.getInputValue('framePresetName') || '').trim();
+            if (!name) {
+                this.uiController.showError('frameStatus', 'Enter a name for the frame preset');
+                return;
+            }
+
+            const design = this._readFrameDesign('frameStatus');
+            if (!design) return;
+
+            const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'frame';
+            const isUpdate = !!this.frameService.customPresets[id];
+            const entry = { id, name, ...design };
+
+            const validation = this.frameService.validateFramePreset(entry, isUpdate);
+            if (!validation.valid) {
+                this.uiController.showError('frameStatus', validation.error);
+                return;
+            }
+
+            await this.frameService.savePreset(entry, isUpdate);
+
+            this.renderFramePresets(id);
+            this.uiController.showSuccess('frameStatus', `✓ Frame preset "${name}" ${isUpdate ? 'updated' : 'saved'}`);
+
+        } catch (error) {
+            this.logger.error('Failed to save frame preset', error);
+            this.uiController.showError('frameStatus', error.message || 'Failed to save frame preset');
+        }
+    }
+
+    async deleteFramePreset() {
+        if (!this.initialized) return;
+
+        try {
+            const presetId = this.uiController.getInputValue('framePreset');
+            if (!presetId || !this.frameService.customPresets[presetId]) {
+                this.uiController.showError('frameStatus', 'Select one of your saved frames to delete');
+                return;
+            }
+
+            await this.frameService.deletePreset(presetId);
+
+            this.renderFramePresets();
+            this.uiController.setInputValue('framePresetName', '');
+            this.uiController.showSuccess('frameStatus', '✓ Frame preset deleted');
+
+        } catch (error) {
+            this.logger.error('Failed to delete frame preset', error);
+            this.uiController.showError('frameStatus', error.message || 'Failed to delete frame preset');
+        }
+    }
+
+    async exportAvatarPack() {
+        if (!this.initialized) return;
+
+        try {
+            this.logger.info('Export avatar pack requested');
+
+            // Get settings
+            const platformIds = this.uiController.getCheckedValues('packPlatforms');
+            const cropMode = this.uiController.getInputValue('cropMode');
+            const cropOptions = this.getSmartCropOptions('packStatus');
+            if (!cropOptions) return;
+
+            this.logger.debug('Settings', { platformIds, cropMode, cropOptions });
+
+            if (platformIds.length === 0) {
+                this.uiController.showError('packStatus', 'Select at least one platform');
+                return;
+            }
+
+            // Validate document exists
+            const docValidation = await this.validator.validateDocument(require('photoshop').app);
+            if (!docValidation.valid) {
+                this.uiController.showError('packStatus', docValidation.error);
+                return;
+            }
+
+            // Ask for the destination folder
+            const folder = await require('uxp').storage.localFileSystem.getFolder();
+            if (!folder) {
+                this.logger.info('Export pack cancelled');
+                return;
+            }
+
+            // Show loading
+            this.uiController.setButtonLoading('packBtn', 'Exporting...');
+            this.uiController.clearStatus('packStatus');
+            this.uiController.showLoadingOverlay(`Exporting ${platformIds.length} avatars...`);
+
+            const result = await this.socialMediaService.exportAvatarPack(platformIds, folder, cropMode, cropOptions);
+
+            // Show result
+            this.uiController.hideLoadingOverlay();
+            if (result.failed.length === 0) {
+                this.uiController.showSuccess('packStatus',
+                    `✓ Exported ${result.files.length} files to ${result.folder}`
+                );
+            } else {
+                this.uiController.showError('packStatus',
+                    `Exported ${result.files.length} files. Failed: ${result.failed.map(f => f.platform).join(', ')}`
+                );
+            }
+            this.uiController.resetButton('packBtn');
+
+        } catch (error) {
+            this.logger.error('Failed to export avatar pack', error);
+            this.uiController.hideLoadingOverlay();
+            this.uiController.showError('packStatus', error.message || 'Failed to export avatar pack');
+            this.uiController.resetButton('packBtn');
+        }
+    }
+
+    // ==========================================
+    // PASSPORT OPERATIONS
+    // ==========================================
+
+    // overrides.cropBounds - crop fixed in the crop adjust step
+    async createPassportPhoto(overrides = {}) {
+        if (!this.initialized) return;
+
+        try {
+            this.logger.info('Create passport photo requested');
+
+            // Get settings
+            const resolution = parseInt(this.uiController.getInputValue('passportResolution')) || 300;
+            const digital = this.uiController.isChecked('passportDigital');
+            const customSize = this._isPassportCustom() ? this._readPassportCustomSize('passportStatus') : null;
+            if (this._isPassportCustom() && !customSize) return;
+
+            const preset = customSize
+                ? this.passportService.buildCustomPreset(customSize)
+                : this.passportService.getPreset(this.uiController.getInputValue('passportPreset'));
+
+            this.logger.debug('Settings', { preset: preset.id, resolution, digital });
+
+            // Validate document exists
+            const docValidation = await this.validator.validateDocument(require('photoshop').app);
+            if (!docValidation.valid) {
+                this.uiController.showError('passportStatus', docValidation.error);
+                return;
+            }
+
+            // Validate resolution
+            const resValidation = this.validator.validateNumber(resolution, 72, 600);
+            if (!resValidation.valid) {
+                this.uiController.showError('passportStatus', resValidation.error);
+                this.uiController.highlightInvalidInput('passportResolution', resValidation.error);
+                return;
+            }
+
+            // Get background color option and hold it against the country rule
+            const backgroundColor = this._readPassportBackground('passportStatus');
+            if (!backgroundColor) return;
+            const backgroundCheck = this.passportService.checkBackground(preset, backgroundColor);
+            if (!backgroundCheck.compliant) {
+                this.uiController.showError('passportStatus', `⚠ ${backgroundCheck.message}`);
+                this.uiController.highlightInvalidInput('passportBackground', backgroundCheck.message);
+                return;
+            }
+
+            const removal = this._readRemovalOptions('passportStatus');
+            if (!removal) return;
+
+            // Digital mode saves straight to a file - ask for the folder before any work
+            let folder = null;
+            if (digital) {
+                folder = await this.exportService.pickFolder();
+                if (!folder) {
+                    this.logger.info('Digital submission cancelled');
+                    return;
+                }
+            }
+
+            // Show loading
+            this.uiController.setButtonLoading('passportBtn', 'Processing...');
+            this.uiController.clearStatus('passportStatus');
+            this.uiController.clearInputError('passportResolution');
+            this.uiController.clearInputError('passportBackground');
+            this.renderComplianceReport(null);
+            this.renderBackgroundReport(null);
+            this.uiController.showLoadingOverlay(
+                backgroundColor && backgroundColor !== 'none'
+                    ? 'Removing background and creating passport photo...'
+                    : 'Creating passport photo...'
+            );
+
+            await this.prepareWorkingDocument(preset.name);
+
+            // Create passport photo (with optional background replacement)
+            const bgColor = backgroundColor === 'none' ? null : backgroundColor;
+            const photoOptions = { cropBounds: overrides.cropBounds, digital, removal };
+            const result = customSize
+                ? await this.passportService.createCustomPassport(customSize, resolution, 'smart', bgColor, photoOptions)
+                : await this.passportService.createPassportPhoto(preset.id, resolution, 'smart', bgColor, photoOptions);
+
+            let upload = null;
+            if (digital) {
+                this.uiController.showLoadingOverlay('Saving for upload...');
+                upload = await this.passportService.exportDigital(preset, folder);
+            }
+
+            // Show success
+            this.uiController.hideLoadingOverlay();
+            const bgMessage = result.backgroundColor !== 'original'
+                ? ` with ${result.backgroundColor} background`
+                : '';
+            if (bgColor && bgColor.startsWith('#')) {
+                this.addRecentColor(bgColor);
+            }
+
+            // Things worth a second look before submitting
+            const warnings = [...result.cropWarnings];
+            if (result.backgroundError) {
+                warnings.push(`Background kept: ${result.backgroundError}.`);
+            }
+            if (!backgroundCheck.checked && backgroundCheck.message) {
+                warnings.push(`${backgroundCheck.message}.`);
+            }
+            if (result.printSize.checked && !result.printSize.matches) {
+                warnings.push(`It prints at ${result.printSize.widthMM}×${result.printSize.heightMM} mm instead of ${result.dimensions.label}.`);
+            }
+            if (result.backgroundReport && result.backgroundReport.status === 'warn') {
+                warnings.push('The background looks uneven - see the report below.');
+            }
+
+            // Mark shadows after any export so the heatmap never ends up in the file
+            if (result.backgroundReport && result.backgroundReport.unevenCells.length) {
+                await this.backgroundService.showUnevenBackground(result.backgroundReport.unevenCells);
+            }
+
+            if (upload) {
+                const qualityText = upload.qualityLabel ? `, ${upload.qualityLabel}` : '';
+                const message = `${upload.fileName}: ${upload.width}×${upload.height} px, ${upload.sizeKB} KB${qualityText}`;
+                if (upload.withinBudget && warnings.length) {
+                    this.uiController.showError('passportStatus', `⚠ Saved for upload (${message}), but: ${warnings.join(' ')}`, 15000);
+                } else if (upload.withinBudget) {
+                    this.uiController.showSuccess('passportStatus', `✓ ${result.preset} photo saved for upload${bgMessage} (${message})`, 10000);
+                } else {
+                    const limits = [upload.minKB && `min ${upload.minKB} KB`, upload.maxKB && `max ${upload.maxKB} KB`].filter(Boolean).join(', ');
+                    this.uiController.showError('passportStatus', `⚠ ${message} - outside the portal limits (${limits})`, 15000);
+                }
+            } else if (warnings.length) {
+                this.uiController.showError('passportStatus',
+                    `⚠ ${result.preset} photo created (${result.dimensions.label}), but: ${warnings.join(' ')}`, 15000
+                );
+            } else {
+                const printText = result.printSize.checked
+                    ? ` - prints at ${result.printSize.widthMM}×${result.printSize.heightMM} mm (${result.printSize.resolution} PPI)`
+                    : '';
+                const layersText = result.layersKept
+                    ? '. Subject mask and background layer kept - paint the mask to fix edges, flatten when done'
+                    : '';
+                this.uiController.showSuccess('passportStatus',
+                    `✓ ${result.preset} photo created${bgMessage}! Dimensions: ${result.dimensions.label}${printText}${layersText}`
+                );
+            }
+            this.renderComplianceReport(result.compliance);
+            this.renderBackgroundReport(result.backgroundReport);
+            this.uiController.resetButton('passportBtn');
+
+        } catch (error) {
+            this.logger.error('Failed to create passport photo', error);
+            this.uiController.hideLoadingOverlay();
+            this.uiController.showError('passportStatus', error.message || 'Failed to create passport photo');
+            this.uiController.resetButton('passportBtn');
+        }
+    }
+
+    renderPassportPresets() {
+        const categories = this.passportService.getCategoriesList();
+        const category = this.uiController.getInputValue('passportCategory') || '';
+
+        this.uiController.populateSelect('passportCategory', [
+            { value: '', label: 'All categories' },
+            ...categories.map(entry => ({ value: entry.id, label: entry.name }))
+        ], category);
+
+        this.onPassportCategoryChange();
+    }
+
+    onPassportCategoryChange() {
+        const category = this.uiController.getInputValue('passportCategory') || null;
+        const current = this.uiController.getInputValue('passportPreset');
+        const presets = this.passportService.getPresetsList(category);
+
+        // Keep the current choice when it is still in the filtered list
+        const selected = current === 'custom' || presets.some(preset => preset.id === current)
+            ? current
+            : (presets[0] ? presets[0].id : 'custom');
+
+        this.uiController.populateSelect('passportPreset', [
+            ...presets.map(preset => ({
+                value: preset.id,
+                label: `${preset.icon} ${preset.name} (${preset.dimensions})`
+            })),
+            { value: 'custom', label: '✏️ Custom size...' }
+        ], selected);
+
+        this.onPassportPresetChange();
+    }
+
+    onPassportPresetChange() {
+        const presetId = this.uiController.getInputValue('passportPreset');
+
+        if (this._isPassportCustom()) {
+            this.uiController.showElement('passportCustomFields');
+            this.onPassportCustomChange();
+            this.onPassportBackgroundChange();
+            this.renderComplianceReport(null);
+            return;
+        }
+
+        this.uiController.hideElement('passportCustomFields');
+        this.uiController.updateText('passportSpec', presetId ? this.passportService.describePreset(presetId) : '');
+
+        // Digital upload presets only make sense in digital mode
+        const preset = presetId ? this.passportService.getPreset(presetId) : null;
+        if (preset && preset.category === 'digital') {
+            this.uiController.setChecked('passportDigital', true);
+        }
+
+        // Saved custom sizes carry their own DPI
+        if (preset && preset.custom) {
+            this.uiController.setInputValue('passportResolution', preset.resolution);
+        }
+
+        // Switch to a background the country accepts - a custom color stays if it is a near match
+        if (preset) {
+            const current = this.uiController.getInputValue('passportBackground');
+            const customColor = current === 'custom' ? this._readPassportBackground(null) : null;
+            if (!customColor || !this.passportService.checkBackground(preset, customColor).compliant) {
+                this.uiController.setInputValue('passportBackground', this.passportService.getDefaultBackground(preset, current));
+            }
+        }
+        this.onPassportBackgroundChange();
+
+        this.onPassportDigitalChange();
+        this.renderComplianceReport(null);
+    }
+
+    onPassportBackgroundChange() {
+        if (this.uiController.getInputValue('passportBackground') === 'custom') {
+            this.uiController.showElement('passportCustomColorFields');
+        } else {
+            this.uiController.hideElement('passportCustomColorFields');
+        }
+
+        const preset = this._getPassportPreset(null);
+        const backgroundColor = this._readPassportBackground(null);
+        const check = preset && backgroundColor ? this.passportService.checkBackground(preset, backgroundColor) : null;
+
+        this.uiController.clearInputError('passportBackground');
+        this.uiController.updateText('passportBackgroundHint', check && check.message ? `⚠ ${check.message}` : '');
+    }
+
+    // Recolors the fill layer left by an earlier replacement - no new cut-out
+    async recolorPassportBackground() {
+        if (!this.initialized) return;
+
+        try {
+            const docValidation = await this.validator.validateDocument(require('photoshop').app);
+            if (!docValidation.valid) {
+                this.uiController.showError('passportStatus', docValidation.error);
+                return;
+            }
+
+            if (!this.backgroundService.hasEditableBackground()) {
+                this.uiController.showError('passportStatus', 'No background layer to recolor - create the passport photo with a background color first');
+                return;
+            }
+
+            const backgroundColor = this._readPassportBackground('passportStatus');
+            if (!backgroundColor) return;
+            if (backgroundColor === 'none') {
+                this.uiController.showError('passportStatus', 'Pick a background color to switch to');
+                return;
+            }
+
+            const preset = this._getPassportPreset(null);
+            const check = preset ? this.passportService.checkBackground(preset, backgroundColor) : null;
+            if (check && !check.compliant) {
+                this.uiController.showError('passportStatus', `⚠ ${check.message}`);
+                return;
+            }
+
+            const result = await this.backgroundService.setBackgroundColor(backgroundColor);
+            if (backgroundColor.startsWith('#')) {
+                this.addRecentColor(backgroundColor);
+            }
+            this.uiController.showSuccess('passportStatus', `✓ ${result.message}`);
+
+        } catch (error) {
+            this.logger.error('Failed to recolor background', error);
+            this.uiController.showError('passportStatus', error.message || 'Failed to change background color');
+        }
+    }
+
+    onPassportRemovalMethodChange() {
+        const method = this.uiController.getInputValue('passportRemovalMethod');
+
+        if (method === 'colorRange') {
+            this.uiController.showElement('passportColorRangeFields');
+        } else {
+            this.uiController.hideElement('passportColorRangeFields');
+        }
+
+        if (method === 'magicWand') {
+            this.uiController.showElement('passportMagicWandFields');
+            this.refreshSamplerPoints();
+        } else {
+            this.uiController.hideElement('passportMagicWandFields');
+        }
+    }
+
+    onPassportToleranceChange() {
+        this.uiController.updateText('passportToleranceValue', this.uiController.getInputValue('passportTolerance'));
+    }
+
+    // Shows how many Color Sampler points the Magic Wand will start from
+    async refreshSamplerPoints() {
+        if (!this.initialized) return;
+
+        try {
+            const docValidation = await this.validator.validateDocument(require('photoshop').app);
+            if (!docValidation.valid) {
+                this.uiController.updateText('passportSamplerInfo', 'Open a document first');
+                return;
+            }
+
+            const points = await this.photoshopService.getColorSamplerPoints();
+            this.uiController.updateText('passportSamplerInfo', points.length
+                ? `${points.length} sample point${points.length === 1 ? '' : 's'}: ${points.map(point => `(${point.x}, ${point.y})`).join(', ')}`
+                : 'No sample points yet');
+        } catch (error) {
+            this.logger.warn('Could not read color samplers', error);
+            this.uiController.updateText('passportSamplerInfo', 'Could not read the sample points');
+        }
+    }
+
+    // Edge quality choices for every background removal form
+    renderEdgeQualities() {
+        const options = this.backgroundService.getEdgeQualitiesList().map(quality => ({
+            value: quality.id,
+            label: `${quality.name} - ${quality.description}`
+        }));
+
+        this.uiController.populateSelect('passportEdgeQuality', options, 'balanced');
+        this.uiController.populateSelect('backgroundEdgeQuality', options, 'balanced');
+    }
+
+    // { method, edge, ...settings } for BackgroundService, or null (with an error) when invalid
+    _readRemovalOptions(statusId) {
+        const method = this.uiController.getInputValue('passportRemovalMethod') || 'selectSubject';
+        const edge = this.uiController.getInputValue('passportEdgeQuality') || 'balanced';
+
+        const edgeValidation = this.validator.validateEnum(edge, Object.keys(this.backgroundService.edgeQualities));
+        if (!edgeValidation.valid) {
+            this.uiController.showError(statusId, `Edge quality: ${edgeValidation.error}`);
+            return null;
+        }
+
+        if (method === 'magicWand') {
+            const tolerance = parseInt(this.uiController.getInputValue('passportTolerance'));
+            const validation = this.validator.validateNumber(tolerance, 0, 255);
+            if (!validation.valid) {
+                this.uiController.showError(statusId, `Tolerance: ${validation.error}`);
+                return null;
+            }
+            return { method, edge, tolerance };
+        }
+
+        if (method !== 'colorRange') {
+            return { method, edge };
+        }
+
+        const fuzziness = parseInt(this.uiController.getInputValue('passportFuzziness'));
+        const validation = this.validator.validateNumber(fuzziness, 0, 200);
+        if (!validation.valid) {
+            this.uiController.showError(statusId, `Fuzziness: ${validation.error}`);
+            this.uiController.highlightInvalidInput('passportFuzziness', validation.error);
+            return null;
+        }
+
+        return { method, edge, fuzziness };
+    }
+
+    // ==========================================
+    // CUSTOM BACKGROUND COLORS
+    // ==========================================
+
+    // passportBackground value, or the #RRGGBB from the custom color fields.
+    // Returns null (with an error in statusId) when the hex is invalid.
+    _readPassportBackground(statusId) {
+        const value = this.uiController.getInputValue('passportBackground');
+        if (value !== 'custom') {
+            return value;
+        }
+
+        const hex = (this.uiController.getInputValue('passportCustomColor') || '').trim();
+        const validation = this.validator.validateHexColor(hex);
+        if (!validation.valid) {
+            if (statusId) {
+                this.uiController.showError(statusId, 'Custom color must be a hex value like #1A73E8 or #FFF');
+                this.uiController.highlightInvalidInput('passportCustomColor', 'Use #RGB or #RRGGBB');
+            }
+            return null;
+        }
+
+        return this.backgroundService.toHex(hex);
+    }
+
+    // Hex typed in - move the sliders and swatch along once it is valid
+    onPassportHexChange() {
+        const hex = (this.uiController.getInputValue('passportCustomColor') || '').trim();
+        if (!this.validator.validateHexColor(hex).valid) return;
+
+        const rgb = this.backgroundService._parseColor(hex);
+        this.uiController.clearInputError('passportCustomColor');
+        this.uiController.setInputValue('passportColorR', rgb.r);
+        this.uiController.setInputValue('passportColorG', rgb.g);
+        this.uiController.setInputValue('passportColorB', rgb.b);
+        this.uiController.setSwatchColor('passportColorSwatch', this.backgroundService.toHex(rgb));
+        this.onPassportBackgroundChange();
+    }
+
+    onPassportColorSliderChange() {
+        const rgb = {
+            r: parseInt(this.uiController.getInputValue('passportColorR')) || 0,
+            g: parseInt(this.uiController.getInputValue('passportColorG')) || 0,
+            b: parseInt(this.uiController.getInputValue('passportColorB')) || 0
+        };
+
+        const validation = this.validator.validateRGB(rgb.r, rgb.g, rgb.b);
+        if (!validation.valid) return;
+
+        const hex = this.backgroundService.toHex(rgb);
+        this.uiController.setInputValue('passportCustomColor', hex);
+        this.uiController.clearInputError('passportCustomColor');
+        this.uiController.setSwatchColor('passportColorSwatch', hex);
+        this.onPassportBackgroundChange();
+    }
+
+    selectRecentColor(hex) {
+        this.uiController.setInputValue('passportBackground', 'custom');
+        this.uiController.setInputValue('passportCustomColor', hex);
+        this.onPassportHexChange();
+    }
+
+    getRecentColors() {
+        try {
+            const colors = JSON.parse(localStorage.getItem('recent_background_colors') || '[]');
+            return Array.isArray(colors) ? colors : [];
+        } catch (error) {
+            this.logger.warn('Could not read recent colors', error);
+            return [];
+        }
+    }
+
+    // Most recent first, no duplicates, last 8 kept
+    addRecentColor(hex) {
+        const colors = [hex, ...this.getRecentColors().filter(color => color !== hex)].slice(0, 8);
+        try {
+            localStorage.setItem('recent_background_colors', JSON.stringify(colors));
+        } catch (error) {
+            this.logger.warn('Could not save recent colors', error);
+        }
+        this.renderRecentColors();
+    }
+
+    renderRecentColors() {
+        this.uiController.renderSwatches('passportRecentColors', this.getRecentColors(),
+            hex => this.selectRecentColor(hex), 'No recent colors yet');
+    }
+
+    onPassportDigitalChange() {
+        const digital = this.uiController.isChecked('passportDigital');
+        const resolution = parseInt(this.uiController.getInputValue('passportResolution')) || 300;
+        const preset = this._getPassportPreset(null);
+
+        this.uiController.updateText('passportDigitalSpec',
+            digital && preset ? `Saves ${this.passportService.describeDigitalSpec(preset, resolution)}` : ''
+        );
+    }
+
+    // ==========================================
+    // CUSTOM PASSPORT SIZES
+    // ==========================================
+
+    _isPassportCustom() {
+        return this.uiController.getInputValue('passportPreset') === 'custom';
+    }
+
+    // Size entered in the custom fields, or null (with an error in statusId) when invalid
+    _readPassportCustomSize(statusId) {
+        const size = {
+            width: parseFloat(this.uiController.getInputValue('passportCustomWidth')),
+            height: parseFloat(this.uiController.getInputValue('passportCustomHeight')),
+            unit: this.uiController.getInputValue('passportCustomUnit'),
+            dpi: parseInt(this.uiController.getInputValue('passportResolution')) || 300,
+            headMin: parseFloat(this.uiController.getInputValue('passportCustomHeadMin')),
+            headMax: parseFloat(this.uiController.getInputValue('passportCustomHeadMax'))
+        };
+
+        const validation = this.passportService.validateCustomSize(size);
+        if (!validation.valid) {
+            if (statusId) {
+                this.uiController.showError(statusId, validation.error);
+            }
+            return null;
+        }
+
+        return size;
+    }
+
+    // Selected preset object - built from the custom fields when "Custom size" is chosen
+    _getPassportPreset(statusId) {
+        if (this._isPassportCustom()) {
+            const size = this._readPassportCustomSize(statusId);
+            return size ? this.passportService.buildCustomPreset(size) : null;
+        }
+
+        const presetId = this.uiController.getInputValue('passportPreset');
+        return presetId ? this.passportService.getPreset(presetId) : null;
+    }
+
+    onPassportCustomChange() {
+        const preset = this._getPassportPreset(null);
+        this.uiController.updateText('passportSpec',
+            preset ? this.passportService.describePreset(preset) : 'Enter a width and height between 10 and 300 mm'
+        );
+        this.onPassportDigitalChange();
+    }
+
+    // Converts the entered size when the unit is switched
+    onPassportCustomUnitChange() {
+        const unit = this.uiController.getInputValue('passportCustomUnit');
+        const previous = this.passportCustomUnit || 'mm';
+
+        if (unit !== previous) {
+            ['passportCustomWidth', 'passportCustomHeight'].forEach(inputId => {
+                const value = parseFloat(this.uiController.getInputValue(inputId));
+                if (value) {
+                    const valueMM = this.passportService.toMM(value, previous);
+                    this.uiController.setInputValue(inputId, this.passportService.fromMM(valueMM, unit));
+                }
+            });
+        }
+
+        this.passportCustomUnit = unit;
+        this.onPassportCustomChange();
+    }
+
+    renderPassportCustomList() {
+        const presets = this.passportService.getCustomPresets();
+
+        this.uiController.renderItemList('passportCustomList',
+            presets.map(preset => ({
+                id: preset.id,
+                label: `${preset.name} (${preset.width}x${preset.height}${preset.unit}, ${preset.dpi || 300} DPI)`
+            })),
+            [
+                { label: 'Edit', onClick: (id) => this.editPassportCustomPreset(id) },
+                { label: 'Delete', onClick: (id) => this.deletePassportCustomPreset(id) }
+            ],
+            'No saved sizes yet'
+        );
+    }
+
+    editPassportCustomPreset(id) {
+        const preset = this.passportService.getCustomPresets().find(entry => entry.id === id);
+        if (!preset) return;
+
+        this.editingPassportPresetId = id;
+        this.uiController.setInputValue('passportPreset', 'custom');
+        this.uiController.setInputValue('passportCustomName', preset.name);
+        this.uiController.setInputValue('passportCustomWidth', preset.width);
+        this.uiController.setInputValue('passportCustomHeight', preset.height);
+        this.uiController.setInputValue('passportCustomUnit', preset.unit);
+        this.uiController.setInputValue('passportResolution', preset.dpi || 300);
+        this.uiController.setInputValue('passportCustomHeadMin', preset.headMin || 70);
+        this.uiController.setInputValue('passportCustomHeadMax', preset.headMax || 80);
+        this.uiController.updateText('passportCustomSaveBtn', 'Update Preset');
+        this.passportCustomUnit = preset.unit;
+
+        this.onPassportPresetChange();
+    }
+
+    resetPassportCustomForm() {
+        this.editingPassportPresetId = null;
+        this.uiController.setInputValue('passportCustomName', '');
+        this.uiController.updateText('passportCustomSaveBtn', 'Save as Preset');
+    }
+
+    async savePassportCustomPreset() {
+        if (!this.initialized) return;
+
+        try {
+            const size = this._readPassportCustomSize('passportCustomStatus');
+            if (!size) return;
+
+            const name = (this.uiController.getInputValue('passportCustomName') || '').trim();
+            const entry = {
+                ...size,
+                id: name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, ''),
+                name
+            };
+            if (!entry.name) {
+                this.uiController.showError('passportCustomStatus', 'Enter a name for the preset');
+                return;
+            }
+
+            const isUpdate = this.editingPassportPresetId === entry.id;
+            const validation = this.passportService.validateCustomPreset(entry, isUpdate);
+            if (!validation.valid) {
+                this.uiController.showError('passportCustomStatus', validation.error);
+                return;
+            }
+
+            await this.passportService.saveCustomPreset(entry, isUpdate);
+
+            this.resetPassportCustomForm();
+            this.renderPassportCustomList();
+            this.renderPassportPresets();
+            this.uiController.setInputValue('passportPreset', entry.id);
+            this.onPassportPresetChange();
+            this.uiController.showSuccess('passportCustomStatus', `✓ ${entry.name} saved`);
+
+        } catch (error) {
+            this.logger.error('Failed to save custom passport preset', error);
+            this.uiController.showError('passportCustomStatus', error.message || 'Failed to save preset');
+        }
+    }
+
+    async deletePassportCustomPreset(id) {
+        try {
+            await this.passportService.deleteCustomPreset(id);
+
+            if (this.editingPassportPresetId === id) {
+                this.resetPassportCustomForm();
+            }
+            this.renderPassportCustomList();
+            this.renderPassportPresets();
+            this.uiController.showSuccess('passportCustomStatus', '✓ Preset deleted');
+
+        } catch (error) {
+            this.logger.error('Failed to delete custom passport preset', error);
+            this.uiController.showError('passportCustomStatus', error.message || 'Failed to delete preset');
+        }
+    }
+
+    async createPrintSheet() {
+        if (!this.initialized) return;
+
+        try {
+            this.logger.info('Create print sheet requested');
+
+            const preset = this._getPassportPreset('printStatus');
+            if (!preset) return;
+            const sheetId = this.uiController.getInputValue('printSheetSize');
+            const copies = parseInt(this.uiController.getInputValue('printCopies')) || 0;
+            const gutterMM = parseFloat(this.uiController.getInputValue('printGutter'));
+            const cutMarks = this.uiController.isChecked('printCutMarks');
+
+            this.logger.debug('Settings', { preset: preset.id, sheetId, copies, gutterMM, cutMarks });
+
+            const docValidation = await this.validator.validateDocument(require('photoshop').app);
+            if (!docValidation.valid) {
+                this.uiController.showError('printStatus', docValidation.error);
+                return;
+            }
+
+            const copiesValidation = this.validator.validateNumber(copies, 0, 100);
+            if (!copiesValidation.valid) {
+                this.uiController.showError('printStatus', `Copies: ${copiesValidation.error}`);
+                return;
+            }
+
+            const gutterValidation = this.validator.validateNumber(gutterMM, 0, 20);
+            if (!gutterValidation.valid) {
+                this.uiController.showError('printStatus', `Gutter: ${gutterValidation.error}`);
+                return;
+            }
+
+            this.uiController.setButtonLoading('printSheetBtn', 'Laying out...');
+            this.uiController.clearStatus('printStatus');
+            this.uiController.showLoadingOverlay('Creating print sheet...');
+
+            const result = await this.passportService.createPrintSheet(preset, sheetId, copies, { gutterMM, cutMarks });
+
+            this.uiController.hideLoadingOverlay();
+            const shortfall = copies > result.capacity ? ` Only ${result.capacity} fit on this sheet.` : '';
+            this.uiController.showSuccess('printStatus',
+                `✓ ${result.copies} copies on a ${result.sheet} sheet (${result.cols}×${result.rows}, ${result.ppi} PPI).${shortfall}`
+            );
+            this.uiController.resetButton('printSheetBtn');
+
+        } catch (error) {
+            this.logger.error('Failed to create print sheet', error);
+            this.uiController.hideLoadingOverlay();
+            this.uiController.showError('printStatus', error.message || 'Failed to create print sheet');
+            this.uiController.resetButton('printSheetBtn');
+        }
+    }
+
+    // Re-runs the head checks, e.g. after placing crown/eyes/chin guides
+    async checkPassportCompliance() {
+        if (!this.initialized) return;
+
+        try {
+            const preset = this._getPassportPreset('passportStatus');
+            if (!preset) return;
+
+            const docValidation = await this.validator.validateDocument(require('photoshop').app);
+            if (!docValidation.valid) {
+                this.uiController.showError('passportStatus', docValidation.error);
+                return;
+            }
+
+            this.uiController.setButtonLoading('passportCheckBtn', 'Checking...');
+            this.uiController.showLoadingOverlay('Measuring head position...');
+
+            const compliance = await this.passportService.checkCompliance(preset);
+
+            this.uiController.hideLoadingOverlay();
+            this.renderComplianceReport(compliance);
+            this.uiController.resetButton('passportCheckBtn');
+
+        } catch (error) {
+            this.logger.error('Failed to check passport compliance', error);
+            this.uiController.hideLoadingOverlay();
+            this.uiController.showError('passportStatus', error.message || 'Failed to check compliance');
+            this.uiController.resetButton('passportCheckBtn');
+        }
+    }
+
+    // Re-runs the evenness analysis on the finished photo and redraws the heatmap
+    async checkPassportBackground() {
+        if (!this.initialized) return;
+
+        try {
+            const docValidation = await this.validator.validateDocument(require('photoshop').app);
+            if (!docValidation.valid) {
+                this.uiController.showError('passportStatus', docValidation.error);
+                return;
+            }
+
+            const backgroundColor = this._readPassportBackground('passportStatus');
+            if (!backgroundColor) return;
+
+            this.uiController.setButtonLoading('passportBackgroundCheckBtn', 'Analyzing...');
+            this.uiController.showLoadingOverlay('Analyzing background...');
+
+            const report = await this.backgroundService.analyzeBackground(backgroundColor === 'none' ? null : backgroundColor);
+            await this.backgroundService.showUnevenBackground(report.unevenCells);
+
+            this.uiController.hideLoadingOverlay();
+            this.renderBackgroundReport(report);
+            this.uiController.resetButton('passportBackgroundCheckBtn');
+
+        } catch (error) {
+            this.logger.error('Failed to analyze background', error);
+            this.uiController.hideLoadingOverlay();
+            this.uiController.showError('passportStatus', error.message || 'Failed to analyze background');
+            this.uiController.resetButton('passportBackgroundCheckBtn');
+        }
+    }
+
+    renderBackgroundReport(report) {
+        if (!report) {
+            this.uiController.renderChecklist('passportBackgroundReport', null, []);
+            return;
+        }
+
+        const limits = this.backgroundService.evenness;
+        const cells = report.unevenCells.length;
+        const reference = report.method === 'subject' ? report.targetColor : `${report.targetColor} (edges only - no subject found)`;
+
+        this.uiController.renderChecklist('passportBackgroundReport',
+            `Background: ${report.status === 'pass' ? 'PASS' : 'WARN'}`,
+            [
+                {
+                    passed: report.luminanceStdDev <= limits.maxLuminanceStdDev,
+                    text: `Brightness variation: ${report.luminanceStdDev} (max ${limits.maxLuminanceStdDev})`
+                },
+                {
+                    passed: report.meanDeviation <= limits.maxMeanDeviation,
+                    text: `Color deviation from ${reference}: ${report.meanDeviation} (max ${limits.maxMeanDeviation})`
+                },
+                {
+                    passed: cells === 0,
+                    text: cells
+                        ? `${cells} uneven area${cells === 1 ? '' : 's'} marked in red on the "${this.backgroundService.heatmapLayerName}" layer`
+                        : 'No shadows or gradients found'
+                }
+            ]
+        );
+    }
+
+    renderComplianceReport(compliance) {
+        if (!compliance) {
+            this.uiController.renderChecklist('passportReport', null, []);
+            return;
+        }
+
+        if (compliance.error) {
+            this.uiController.renderChecklist('passportReport', 'Compliance check', [
+                { passed: false, text: compliance.error }
+            ]);
+            return;
+        }
+
+        const source = compliance.method === 'markers'
+            ? 'measured from guides'
+            : `estimated from subject outline${compliance.guidesIgnored ? ' - guides ignored, they don\'t match the subject' : ''}`;
+        this.uiController.renderChecklist('passportReport',
+            `Compliance: ${compliance.passed ? 'PASS' : 'FAIL'} (${source})`,
+            compliance.rules.map(rule => ({
+                passed: rule.passed,
+                text: `${rule.label}: ${rule.measured} ${rule.unit} (required ${rule.min}–${rule.max} ${rule.unit})`
+            }))
+        );
+    }
+
+    // ==========================================
+    // EFFECTS OPERATIONS
+    // ==========================================
+
+    async applyEffect() {
+        if (!this.initialized) return;
+
+        try {
+            this.logger.info('Apply effect requested');
+
+            // Get effect type
+            const effectType = this.uiController.getInputValue('effectPicker');
+
+            this.logger.debug('Effect type', { effectType });
+
+            // Validate document exists
+            const docValidation = await this.validator.validateDocument(require('photoshop').app);
+            if (!docValidation.valid) {
+                this.uiController.showError('effectStatus', docValidation.error);
+                return;
+            }
+
+            // Show loading
+            this.uiController.setButtonLoading('applyEffect', 'Applying...');
+            this.uiController.clearStatus('effectStatus');
+            this.uiController.showLoadingOverlay('Applying effect...');
+
+            const effectInfo = this.effectsService.getAvailableEffects().find(effect => effect.id === effectType);
+            await this.prepareWorkingDocument(effectInfo ? effectInfo.name : effectType);
+
+            // Apply effect
+            const result = await this.effectsService.applyEffect(effectType);
+
+            // Show success
+            this.uiController.hideLoadingOverlay();
+            this.uiController.showSuccess('effectStatus',
+                `✓ ${result.effect} applied successfully! ${result.description}`
+            );
+            this.uiController.resetButton('applyEffect');
+
+        } catch (error) {
+            this.logger.error('Failed to apply effect', error);
+            this.uiController.hideLoadingOverlay();
+            this.uiController.showError('effectStatus', error.message || 'Failed to apply effect');
+            this.uiController.resetButton('applyEffect');
+        }
+    }
+
+    // ==========================================
+    // CROP ADJUSTMENT
+    // ==========================================
+
+    // Computes the crop an operation would apply and shows it as a selection.
+    // target: 'post' | 'banner' (Social page) or 'passport' (Passport page)
+    async previewCrop(target) {
+        if (!this.initialized) return;
+
+        const prefix = target === 'passport' ? 'passport' : 'social';
+        const statusId = target === 'passport' ? 'passportStatus' : (target === 'banner' ? 'bannerStatus' : 'socialStatus');
+
+        try {
+            this.logger.info('Crop preview requested', { target });
+
+            // Validate document exists
+            const docValidation = await this.validator.validateDocument(require('photoshop').app);
+            if (!docValidation.valid) {
+                this.uiController.showError(statusId, docValidation.error);
+                return;
+            }
+
+            let bounds;
+            let warnings = [];
+            if (target === 'passport') {
+                const preset = this._getPassportPreset(statusId);
+                if (!preset) return;
+                const resolution = parseInt(this.uiController.getInputValue('passportResolution')) || 300;
+                const digital = this.uiController.isChecked('passportDigital');
+
+                this.uiController.showLoadingOverlay('Finding head...');
+                try {
+                    const crop = await this.passportService.proposeCrop(preset, resolution, 'smart', digital);
+                    bounds = crop.bounds;
+                    warnings = crop.warnings;
+                } finally {
+                    this.uiController.hideLoadingOverlay();
+                }
+            } else {
+                const cropMode = this.uiController.getInputValue('cropMode');
+                const cropOptions = this.getSmartCropOptions(statusId);
+                if (!cropOptions) return;
+
+                this.uiController.showLoadingOverlay('Finding crop...');
+                try {
+                    if (target === 'banner') {
+                        const presetId = this.uiController.getInputValue('bannerPreset');
+                        bounds = await this.socialMediaService.proposeBannerCrop(presetId, cropMode, cropOptions);
+                    } else {
+                        const platform = this.uiController.getInputValue('outputSize');
+                        let ratio = 1;
+                        if (platform === 'custom') {
+                            const customSize = this._readCustomSize(statusId);
+                            if (!customSize) return;
+                            ratio = customSize.width / customSize.height;
+                        } else if (platform !== 'original') {
+                            const platformConfig = this.socialMediaService.getPlatform(platform);
+                            if (platformConfig) {
+                                const { width, height } = this.socialMediaService._getPlatformDimensions(platformConfig);
+                                ratio = width / height;
+                            }
+                        }
+                        bounds = (await this.photoshopService.getCropBounds(ratio, cropMode, cropOptions)).bounds;
+                    }
+                } finally {
+                    this.uiController.hideLoadingOverlay();
+                }
+            }
+
+            const doc = await this.photoshopService.getActiveDocument();
+            this.cropAdjustSession = {
+                target,
+                prefix,
+                statusId,
+                baseBounds: bounds,
+                bounds,
+                docWidth: doc.width,
+                docHeight: doc.height
+            };
+
+            this.uiController.setInputValue(`${prefix}AdjustX`, 0);
+            this.uiController.setInputValue(`${prefix}AdjustY`, 0);
+            this.uiController.setInputValue(`${prefix}AdjustScale`, 100);
+
+            await this.photoshopService.showCropPreview(bounds);
+            this.uiController.showElement(`${prefix}AdjustPanel`);
+            if (warnings.length) {
+                this.uiController.showError(statusId, `⚠ ${warnings.join(' ')}`, 15000);
+            } else {
+                this.uiController.clearStatus(statusId);
+            }
+
+        } catch (error) {
+            this.logger.error('Failed to preview crop', error);
+            this.uiController.showError(statusId, error.message || 'Failed to preview crop');
+        }
+    }
+
+    async onCropAdjust() {
+        const session = this.cropAdjustSession;
+        if (!session) return;
+
+        const prefix = session.prefix;
+        const adjustment = {
+            offsetX: parseFloat(this.uiController.getInputValue(`${prefix}AdjustX`)) || 0,
+            offsetY: parseFloat(this.uiController.getInputValue(`${prefix}AdjustY`)) || 0,
+            scale: (parseFloat(this.uiController.getInputValue(`${prefix}AdjustScale`)) || 100) / 100
+        };
+
+        session.bounds = this.photoshopService.adjustCropBounds(
+            session.baseBounds, adjustment, session.docWidth, session.docHeight
+        );
+
+        try {
+            await this.photoshopService.showCropPreview(session.bounds);
+        } catch (error) {
+            this.logger.warn('Could not update crop preview', error);
+        }
+    }
+
+    async applyAdjustedCrop() {
+        const session = this.cropAdjustSession;
+        if (!session) return;
+
+        this.cropAdjustSession = null;
+        this.uiController.hideElement(`${session.prefix}AdjustPanel`);
+        await this.photoshopService.clearCropPreview();
+
+        const overrides = { cropBounds: session.bounds };
+        if (session.target === 'passport') {
+            await this.createPassportPhoto(overrides);
+        } else if (session.target === 'banner') {
+            await this.createBanner(overrides);
+        } else {
+            await this.createSocialMediaPost(overrides);
+        }
+    }
+
+    async cancelCropAdjust() {
+        const session = this.cropAdjustSession;
+        if (!session) return;
+
+        this.cropAdjustSession = null;
+        this.uiController.hideElement(`${session.prefix}AdjustPanel`);
+        await this.photoshopService.clearCropPreview();
+    }
+
+    // ==========================================
+    // EXPORT OPERATIONS
+    // ==========================================
+
+    // prefix selects the Export box of a page: 'social', 'passport' or 'effects'
+    async exportDocument(prefix) {
+        if (!this.initialized) return;
+
+        const statusId = `${prefix}ExportStatus`;
+        const buttonId = `${prefix}ExportBtn`;
+
+        try {
+            this.logger.info('Export requested', { prefix });
+
+            // Get settings
+            const format = this.uiController.getInputValue(`${prefix}ExportFormat`);
+
+            const qualityValidation = this.validator.validateNumber(
+                this.uiController.getInputValue(`${prefix}ExportQuality`), 10, 100
+            );
+            if (!qualityValidation.valid) {
+                this.uiController.showError(statusId, `Quality: ${qualityValidation.error}`);
+                this.uiController.highlightInvalidInput(`${prefix}ExportQuality`, qualityValidation.error);
+                return;
+            }
+
+            const maxKBValidation = this.validator.validateNumber(
+                this.uiController.getInputValue(`${prefix}ExportMaxKB`), 1, null, false
+            );
+            if (!maxKBValidation.valid) {
+                this.uiController.showError(statusId, `Max file size: ${maxKBValidation.error}`);
+                this.uiController.highlightInvalidInput(`${prefix}ExportMaxKB`, maxKBValidation.error);
+                return;
+            }
+
+            this.uiController.clearInputError(`${prefix}ExportQuality`);
+            this.uiController.clearInputError(`${prefix}ExportMaxKB`);
+
+            const options = {
+                format,
+                quality: qualityValidation.value,
+                maxFileSizeKB: maxKBValidation.value || null,
+                hiddenLayers: [
+                    this.socialMediaService.shapeGuideLayerName,
+                    this.backgroundService.heatmapLayerName
+                ]
+            };
+
+            this.logger.debug('Export settings', options);
+
+            // Validate document exists
+            const docValidation = await this.validator.validateDocument(require('photoshop').app);
+            if (!docValidation.valid) {
+                this.uiController.showError(statusId, docValidation.error);
+                return;
+            }
+
+            // Ask for the destination folder
+            const folder = await this.exportService.pickFolder();
+            if (!folder) {
+                this.logger.info('Export cancelled');
+                return;
+            }
+
+            // Show loading
+            this.uiController.setButtonLoading(buttonId, 'Exporting...');
+            this.uiController.clearStatus(statusId);
+            this.uiController.showLoadingOverlay('Exporting image...');
+
+            const result = await this.exportService.exportActiveDocument(folder, options);
+
+            // Show result
+            this.uiController.hideLoadingOverlay();
+            const qualityText = result.qualityLabel ? `, ${result.qualityLabel}` : '';
+            const message = `${result.fileName} saved (${result.sizeKB} KB${qualityText})`;
+            if (result.withinBudget) {
+                this.uiController.showSuccess(statusId, `✓ ${message}`);
+            } else {
+                this.uiController.showError(statusId,
+                    `${message}, but it is over the ${options.maxFileSizeKB} KB limit`
+                );
+            }
+            this.uiController.resetButton(buttonId);
+
+        } catch (error) {
+            this.logger.error('Failed to export document', error);
+            this.uiController.hideLoadingOverlay();
+            this.uiController.showError(statusId, error.message || 'Failed to export image');
+            this.uiController.resetButton(buttonId);
+        }
+    }
+
+    // ==========================================
+    // ERROR HANDLING
+    // ==========================================
+
+    handleGlobalError(errorInfo) {
+        this.logger.error('Global error handler triggered', null, errorInfo);
+
+        // Show user-friendly message
+        if (errorInfo.userMessage) {
+            // Determine which status element to use based on current page
+            const statusElements = {
+                'pageLicense': 'status',
+                'pageSocial': 'socialStatus',
+                'pagePassport': 'passportStatus',
+                'pageEffects': 'effectStatus'
+            };
+
+            const statusId = statusElements[this.uiController.getCurrentPage()] || 'status';
+            this.uiController.showError(statusId, errorInfo.userMessage);
+        }
+    }
+
+    // ==========================================
+    // WORKING COPY
+    // ==========================================
+
+    loadWorkOnCopySetting() {
+        let enabled = false;
+        try {
+            enabled = localStorage.getItem('work_on_copy') === 'true';
+        } catch (error) {
+            this.logger.warn('Could not read work on copy setting', error);
+        }
+        this.uiController.setChecked('workOnCopy', enabled);
+    }
+
+    onWorkOnCopyChange() {
+        const enabled = this.uiController.isChecked('workOnCopy');
+        try {
+            localStorage.setItem('work_on_copy', String(enabled));
+        } catch (error) {
+            this.logger.warn('Could not save work on copy setting', error);
+        }
+        this.logger.info('Work on copy changed', { enabled });
+    }
+
+    // When "work on a copy" is on, duplicates the active document so the
+    // operation that follows runs on the copy and the source stays untouched
+    async prepareWorkingDocument(operationLabel) {
+        if (!this.uiController.isChecked('workOnCopy')) {
+            return null;
         }
+
+        this.logger.info('Creating working copy', { operationLabel });
+        return await this.photoshopService.createWorkingCopy(operationLabel);
     }
 
     // ==========================================
@@ -0,0 +1,272 @@
+// ==========================================
+// PRESET STORE
+// User presets persisted as JSON in the plugin data folder
+// ==========================================
+
+// Note: uxp is required inline - license-manager.js already declares
+// a global `storage` and all scripts share one global scope.
+
+class PresetStore {
+    constructor(fileName, logger, errorHandler) {
+        this.fileName = fileName;
+        this.logger = logger || console;
+        this.errorHandler = errorHandler;
+        this.presets = [];
+        // Set when the file exists but can't be read - saving is then refused
+        // so the user's file isn't overwritten with an empty list
+        this.loadError = null;
+    }
+
+    async load() {
+        this.logger.debug('Loading presets', { fileName: this.fileName });
+
+        this.presets = [];
+        this.loadError = null;
+
+        let file;
+        try {
+            const folder = await require('uxp').storage.localFileSystem.getDataFolder();
+            file = await folder.getEntry(this.fileName);
+        } catch (err) {
+            this.logger.debug('No presets file found (first run)', { fileName: this.fileName });
+            return this.getAll();
+        }
+
+        try {
+            const content = await file.read();
+            const data = JSON.parse(content);
+
+            this.presets = Array.isArray(data.presets) ? data.presets : [];
+
+            this.logger.info('Presets loaded', { fileName: this.fileName, count: this.presets.length });
+        } catch (err) {
+            this.loadError = err;
+            this.logger.error('Failed to read presets file', err, { fileName: this.fileName });
+
+            if (this.errorHandler) {
+                await this.errorHandler.handle('STORAGE_ERROR', err, {
+                    operation: 'loadPresets',
+                    fileName: this.fileName
+                });
+            }
+        }
+
+        return this.getAll();
+    }
+
+    _assertWritable() {
+        if (this.loadError) {
+            throw new Error(`${this.fileName} could not be read (${this.loadError.message}) - fix or remove it in the plugin data folder before saving presets`);
+        }
+    }
+
+    async save() {
+        this._assertWritable();
+
+        try {
+            const folder = await require('uxp').storage.localFileSystem.getDataFolder();
+            const file = await folder.createFile(this.fileName, { overwrite: true });
+            await file.write(JSON.stringify({ version: 1, presets: this.presets }, null, 2));
+
+            this.logger.info('Presets saved', { fileName: this.fileName, count: this.presets.length });
+            return { success: true };
+        } catch (err) {
+            this.logger.error('Failed to save presets', err, { fileName: this.fileName });
+
+            if (this.errorHandler) {
+                await this.errorHandler.handle('STORAGE_ERROR', err, {
+                    operation: 'savePresets',
+                    fileName: this.fileName
+                });
+            }
+
+            throw err;
+        }
+    }
+
+    getAll() {
+        return this.presets.map(preset => ({ ...preset }));
+    }
+
+    get(id) {
+        const preset = this.presets.find(entry => entry.id === id);
+        return preset ? { ...preset } : null;
+    }
+
+    // Adds the preset, or replaces the one with the same id
+    async upsert(preset) {
+        this._assertWritable();
+
+        const index = this.presets.findIndex(entry => entry.id === preset.id);
+        if (index >= 0) {
+            this.presets[index] = { ...preset };
+        } else {
+            this.presets.push({ ...preset });
+        }
+
+        await this.save();
+        return this.get(preset.id);
+    }
+
+    async remove(id) {
+        this._assertWritable();
+
+        const count = this.presets.length;
+        this.presets = this.presets.filter(entry => entry.id !== id);
+
+        if (this.presets.length === count) {
+            return false;
+        }
+
+        await this.save();
+        return true;
+    }
+}
+
+// ==========================================
+// PRESET COLLECTION
+// The validated presets of one store, indexed by id. Services pass their
+// own field rules and built-ins; loading, the id/name checks, saving and
+// deleting are shared.
+// ==========================================
+
+// options.label     - used in messages, e.g. 'frame'
+// options.validator - the shared Validator
+// options.builtIns  - built-in presets by id, which user presets may not replace
+// options.fields    - { required, optional } entry fields besides id and name
+// options.validate  - entry => { valid, error } for the service's own fields
+// options.build     - entry => the value kept in items (defaults to the entry)
+class PresetCollection {
+    constructor(store, options) {
+        this.store = store;
+        this.label = options.label;
+        this.validator = options.validator;
+        this.builtIns = options.builtIns || {};
+        this.fields = { required: [], optional: [], ...options.fields };
+        this.validateFields = options.validate;
+        this.build = options.build || (entry => entry);
+        this.logger = (store && store.logger) || console;
+        this.items = {};
+    }
+
+    async load() {
+        if (!this.store) {
+            return [];
+        }
+
+        const entries = await this.store.load();
+        this.items = {};
+
+        entries.forEach(entry => {
+            const validation = this.validate(entry, true);
+            if (!validation.valid) {
+                this.logger.warn(`Skipping invalid ${this.label} preset`, { id: entry && entry.id, error: validation.error });
+                return;
+            }
+            this.items[entry.id] = this.build(entry);
+        });
+
+        this.logger.info(`Loaded ${this.label} presets`, { count: Object.keys(this.items).length });
+        return this.getEntries();
+    }
+
+    get(id) {
+        return this.builtIns[id] || this.items[id] || null;
+    }
+
+    // Saved entries as the user entered them - only those that passed validation
+    getEntries() {
+        return this.store ? this.store.getAll().filter(entry => this.items[entry.id]) : [];
+    }
+
+    // Built-ins first, then the user's presets. describe adds fields per preset.
+    getList(describe = () => ({})) {
+        const list = (presets, custom) => Object.entries(presets)
+            .map(([id, value]) => ({ id, name: value.name, ...describe(value), custom }));
+
+        return [...list(this.builtIns, false), ...list(this.items, true)];
+    }
+
+    // isUpdate allows the id to already exist among the saved presets
+    validate(entry, isUpdate = false) {
+        const validator = this.validator;
+
+        const objectValidation = validator.validateObject(entry,
+            ['id', 'name', ...this.fields.required],
+            this.fields.optional
+        );
+        if (!objectValidation.valid) {
+            return objectValidation;
+        }
+
+        const idValidation = validator.validateString(entry.id, 1, 40, /^[a-z0-9_-]+$/);
+        if (!idValidation.valid) {
+            return { valid: false, error: `Id: ${idValidation.error} (use lowercase letters, digits, - and _)` };
+        }
+        if (this.builtIns[entry.id]) {
+            return { valid: false, error: `"${entry.name}" clashes with a built-in ${this.label} - choose another name` };
+        }
+        if (!isUpdate && this.items[entry.id]) {
+            return { valid: false, error: `A ${this.label} preset named "${entry.name}" already exists` };
+        }
+
+        const nameValidation = validator.validateString(entry.name, 1, 60);
+        if (!nameValidation.valid) {
+            return { valid: false, error: `Name: ${nameValidation.error}` };
+        }
+
+        return this.validateFields(entry);
+    }
+
+    async save(entry, isUpdate = false) {
+        try {
+            this.logger.info(`Saving ${this.label} preset`, { id: entry.id, isUpdate });
+
+            if (!this.store) {
+                throw new Error('Preset storage is not available');
+            }
+
+            const validation = this.validate(entry, isUpdate);
+            if (!validation.valid) {
+                throw new Error(validation.error);
+            }
+
+            const saved = await this.store.upsert(entry);
+            this.items[entry.id] = this.build(saved);
+
+            return saved;
+        } catch (error) {
+            this.logger.error(`Failed to save ${this.label} preset`, error, { id: entry && entry.id });
+            throw error;
+        }
+    }
+
+    async remove(id) {
+        try {
+            this.logger.info(`Deleting ${this.label} preset`, { id });
+
+            if (!this.store) {
+                throw new Error('Preset storage is not available');
+            }
+
+            const removed = await this.store.remove(id);
+            delete this.items[id];
+
+            return removed;
+        } catch (error) {
+            this.logger.error(`Failed to delete ${this.label} preset`, error, { id });
+            throw error;
+        }
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.PresetStore = PresetStore;
+    window.PresetCollection = PresetCollection;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresetStore;
+    module.exports.PresetCollection = PresetCollection;
+}
@@ -7,37 +7,137 @@
 // with other services. We use require('photoshop') inline where needed.
 
 class BackgroundService {
-    constructor(photoshopService, logger, errorHandler) {
+    constructor(photoshopService, logger, errorHandler, presetStore = null) {
         this.ps = photoshopService;
         this.logger = logger || console;
         this.errorHandler = errorHandler;
+
+        // Named background colors - anything else is passed as hex or { r, g, b }
+        this.colors = {
+            'white': { r: 255, g: 255, b: 255 },
+            'offwhite': { r: 245, g: 245, b: 240 },
+            'cream': { r: 243, g: 238, b: 222 },
+            'lightgray': { r: 211, g: 211, b: 211 },
+            'gray': { r: 128, g: 128, b: 128 },
+            'lightblue': { r: 173, g: 216, b: 230 },
+            'blue': { r: 0, g: 0, b: 255 },
+            'black': { r: 0, g: 0, b: 0 }
+        };
+
+        // Background evenness limits. Luminance and deviation are on a 0-255 scale,
+        // deviation is the RGB distance from the fill color.
+        this.evenness = {
+            sampleWidth: 160,
+            gridSize: 12,
+            maxLuminanceStdDev: 6,
+            maxMeanDeviation: 12,
+            maxCellDeviation: 25,
+            maxCellLuminanceShift: 12
+        };
+        this.heatmapLayerName = 'Background Heatmap';
+
+        // Color Range removal. fuzziness is Photoshop's 0-200 scale; expand and
+        // feather are in pixels. Border samples further than maxSampleSpread (Lab
+        // distance) from the typical one are treated as subject and ignored.
+        this.colorRangeDefaults = {
+            fuzziness: 40,
+            expand: 1,
+            feather: 1,
+            maxSampleSpread: 20
+        };
+
+        // Removal is non-destructive: the subject stays on the working layer behind
+        // a layer mask, the new color sits on a fill layer underneath
+        this.workingLayerName = 'Background Removal Working Layer';
+        this.fillLayerName = 'Background Color';
+
+        // Edge refinement applied to the subject selection before it becomes the mask.
+        // radius/feather in pixels, shift in % (negative contracts the edge),
+        // decontaminate in % (0 = off). Decontamination needs Select and Mask to
+        // output a new masked layer, which then replaces the working layer.
+        this.edgeQualities = {
+            fast: { name: 'Fast', description: 'light feather', selectAndMask: false, radius: 0, smartRadius: false, smooth: 0, feather: 0.5, shift: 0, decontaminate: 0 },
+            balanced: { name: 'Balanced', description: 'Select and Mask smart radius', selectAndMask: true, radius: 3, smartRadius: true, smooth: 0, feather: 0.5, shift: -10, decontaminate: 0 },
+            best: { name: 'Best', description: 'wider radius + color decontamination (for hair)', selectAndMask: true, radius: 8, smartRadius: true, smooth: 1, feather: 0.8, shift: -15, decontaminate: 60 }
+        };
+
+        // Magic Wand removal. tolerance is Photoshop's 0-255 scale.
+        this.magicWandDefaults = {
+            tolerance: 32,
+            expand: 1,
+            feather: 1
+        };
+
+        // Background designs put under the subject. Every type has its own layer so
+        // a new design replaces whatever was there before.
+        this.backgroundTypes = ['color', 'gradient', 'image', 'blur'];
+        this.gradientTypes = ['linear', 'radial'];
+        this.backgroundLayerNames = {
+            color: this.fillLayerName,
+            gradient: 'Background Gradient',
+            image: 'Background Image',
+            blur: 'Background Blur'
+        };
+        this.maxBlurRadius = 250;
+        // The subject is filled out of the blurred copy before blurring. The fill
+        // area is grown by this many pixels so the edge fringe goes too.
+        this.blurSubjectExpand = 6;
+
+        // Built-in designs. angle is in degrees (90 = bottom to top), blurRadius in pixels.
+        // Image designs need a file from disk, so they only exist as user presets.
+        this.builtInPresets = {
+            studio_white: { name: 'Studio White', type: 'color', color: '#FFFFFF' },
+            studio_gray: { name: 'Studio Gray', type: 'color', color: '#D3D3D3' },
+            sunset: { name: 'Sunset Gradient', type: 'gradient', gradientType: 'linear', colors: ['#FF7E5F', '#FEB47B'], angle: 90 },
+            ocean: { name: 'Ocean Glow', type: 'gradient', gradientType: 'radial', colors: ['#A8E6FF', '#1E5F8C'] },
+            slate: { name: 'Slate Gradient', type: 'gradient', gradientType: 'linear', colors: ['#4B5563', '#1F2937'], angle: 90 },
+            soft_blur: { name: 'Soft Blur', type: 'blur', blurRadius: 25 },
+            strong_blur: { name: 'Strong Blur', type: 'blur', blurRadius: 60 }
+        };
+
+        this.userPresets = new PresetCollection(presetStore, {
+            label: 'background',
+            validator: this.ps.validator,
+            builtIns: this.builtInPresets,
+            fields: { required: ['type'], optional: ['color', 'colors', 'gradientType', 'angle', 'token', 'fileName', 'blurRadius'] },
+            validate: entry => this.validateBackgroundDesign(entry)
+        });
     }
 
     // ==========================================
     // BACKGROUND REMOVAL METHODS
     // ==========================================
 
-    async removeBackground(method = 'selectSubject') {
+    // options (colorRange): { fuzziness, expand, feather } - see colorRangeDefaults
+    // options (magicWand):  { points, tolerance, expand, feather } - see magicWandDefaults
+    // options.edge (all):   an edgeQualities key, or { quality, ...overrides }
+    async removeBackground(method = 'selectSubject', options = {}) {
         try {
-            this.logger.info('Starting background removal', { method });
+            this.logger.info('Starting background removal', { method, options });
 
             const doc = await this.ps.getActiveDocument();
 
             // Create snapshot for undo
             await this.ps.createHistorySnapshot('Before Background Removal');
 
-            // Duplicate layer for safety
-            await this.ps.duplicateLayer('Background Removal Working Layer');
+            // Duplicate layer for safety. A re-run reuses the working layer from the
+            // earlier removal and rebuilds its mask - duplicating it would copy the mask too.
+            if (this._findLayer(this.workingLayerName)) {
+                await this._selectWorkingLayer();
+                await this._deleteLayerMask();
+            } else {
+                await this.ps.duplicateLayer(this.workingLayerName);
+            }
 
             if (method === 'selectSubject') {
                 // Use Photoshop's AI-powered Select Subject
-                await this._removeBackgroundWithSelectSubject();
+                await this._removeBackgroundWithSelectSubject(options);
             } else if (method === 'colorRange') {
                 // Use color range selection (for simple backgrounds)
-                await this._removeBackgroundWithColorRange();
+                await this._removeBackgroundWithColorRange(options);
             } else if (method === 'magicWand') {
-                // Use magic wand (manual click required)
-                await this._removeBackgroundWithMagicWand();
+                // Use magic wand at the user's sample points
+                await this._removeBackgroundWithMagicWand(options);
             } else {
                 throw new Error(`Unknown background removal method: ${method}`);
             }
@@ -64,7 +164,7 @@ class BackgroundService {
         }
     }
 
-    async _removeBackgroundWithSelectSubject() {
+    async _removeBackgroundWithSelectSubject(options = {}) {
         try {
             this.logger.debug('Using Select Subject AI');
 
@@ -78,30 +178,51 @@ class BackgroundService {
                 await require('photoshop').action.batchPlay(batchCommands, {});
             }, { commandName: 'SelectSubject' });
 
-            // Invert selection to select background
-            await this._invertSelection();
-
-            // Delete selected background
-            await this._deleteSelection();
-
-            // Deselect
-            await this._deselect();
-
-            this.logger.info('Select Subject background removal completed');
-
         } catch (error) {
             this.logger.error('Select Subject failed', error);
             throw new Error('AI background removal failed. Your Photoshop version may not support Select Subject, or the image may be too complex.');
         }
+
+        // The selection is the subject - hide everything else behind a mask
+        await this._applySubjectSelection(options.edge);
+
+        this.logger.info('Select Subject background removal completed');
     }
 
-    async _removeBackgroundWithColorRange() {
+    // Samples the backdrop at the image border and selects every pixel of that
+    // color - works on seamless paper and needs no Select Subject
+    async _removeBackgroundWithColorRange(options = {}) {
+        const settings = { ...this.colorRangeDefaults, ...options };
+
         try {
-            this.logger.debug('Using Color Range method');
+            this.logger.debug('Using Color Range method', settings);
+
+            const fuzzinessValidation = this.ps.validator.validateNumber(settings.fuzziness, 0, 200);
+            if (!fuzzinessValidation.valid) {
+                throw new Error(`Fuzziness: ${fuzzinessValidation.error}`);
+            }
 
-            // This would need user interaction or specific color values
-            // For now, this is a placeholder
-            throw new Error('Color Range method requires manual selection');
+            const range = await this._sampleBackgroundRange(settings.maxSampleSpread);
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchPlay = require('photoshop').action.batchPlay;
+
+                await batchPlay([{
+                    _obj: 'colorRange',
+                    fuzziness: settings.fuzziness,
+                    minimum: { _obj: 'labColor', luminance: range.min.l, a: range.min.a, b: range.min.b },
+                    maximum: { _obj: 'labColor', luminance: range.max.l, a: range.max.a, b: range.max.b },
+                    colorModel: 0
+                }], {});
+
+                await this._refineBackgroundSelection(settings.expand, settings.feather);
+            }, { commandName: 'ColorRangeSelect' });
+
+            // The selection is the background - flip it to the subject for the mask
+            await this._invertSelection();
+            await this._applySubjectSelection(settings.edge);
+
+            this.logger.info('Color Range background removal completed', { samples: range.samples });
 
         } catch (error) {
             this.logger.error('Color Range failed', error);
@@ -109,12 +230,108 @@ class BackgroundService {
         }
     }
 
-    async _removeBackgroundWithMagicWand() {
+    // Lab range covering the border samples that agree with each other
+    async _sampleBackgroundRange(maxSpread) {
+        const samples = await this.ps.sampleBorderColors();
+        if (samples.length === 0) {
+            throw new Error('Could not sample the background color');
+        }
+
+        const labs = samples.map(sample => this._rgbToLab(sample));
+
+        // Reference: the sample closest to all the others
+        const reference = labs.reduce((best, lab) => {
+            const total = labs.reduce((sum, other) => sum + this._labDistance(lab, other), 0);
+            return !best || total < best.total ? { lab, total } : best;
+        }, null).lab;
+
+        const agreeing = labs.filter(lab => this._labDistance(lab, reference) <= maxSpread);
+        if (agreeing.length < 2) {
+            throw new Error('The image border is not one even color - Color Range needs a plain backdrop');
+        }
+
+        const pick = (key, fn) => Math.round(fn(...agreeing.map(lab => lab[key])) * 10) / 10;
+        return {
+            min: { l: pick('l', Math.min), a: pick('a', Math.min), b: pick('b', Math.min) },
+            max: { l: pick('l', Math.max), a: pick('a', Math.max), b: pick('b', Math.max) },
+            samples: agreeing.length
+        };
+    }
+
+    // sRGB (D65) to CIE Lab
+    _rgbToLab({ r, g, b }) {
+        const linear = value => {
+            const c = value / 255;
+            return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+        };
+        const lr = linear(r);
+        const lg = linear(g);
+        const lb = linear(b);
+
+        const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+        const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+        const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+
+        const f = t => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+        return {
+            l: 116 * f(y) - 16,
+            a: 500 * (f(x) - f(y)),
+            b: 200 * (f(y) - f(z))
+        };
+    }
+
+    _labDistance(first, second) {
+        return Math.sqrt(
+            Math.pow(first.l - second.l, 2) + Math.pow(first.a - second.a, 2) + Math.pow(first.b - second.b, 2)
+        );
+    }
+
+    // Contiguous Magic Wand at each sample point (options.points, or the Color
+    // Sampler points placed in the document), added into one background selection
+    async _removeBackgroundWithMagicWand(options = {}) {
+        const settings = { ...this.magicWandDefaults, ...options };
+
         try {
-            this.logger.debug('Using Magic Wand method');
+            this.logger.debug('Using Magic Wand method', { tolerance: settings.tolerance });
+
+            const toleranceValidation = this.ps.validator.validateNumber(settings.tolerance, 0, 255);
+            if (!toleranceValidation.valid) {
+                throw new Error(`Tolerance: ${toleranceValidation.error}`);
+            }
+
+            const points = settings.points && settings.points.length
+                ? settings.points
+                : await this.ps.getColorSamplerPoints();
+            if (points.length === 0) {
+                throw new Error('Place one or more points on the background with the Color Sampler tool (I) first');
+            }
 
-            // This would need user to click on background
-            throw new Error('Magic Wand method requires manual interaction');
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchPlay = require('photoshop').action.batchPlay;
+
+                for (let i = 0; i < points.length; i++) {
+                    await batchPlay([{
+                        _obj: i === 0 ? 'set' : 'addTo',
+                        _target: [{ _ref: 'channel', _property: 'selection' }],
+                        to: {
+                            _obj: 'paint',
+                            horizontal: { _unit: 'pixelsUnit', _value: points[i].x },
+                            vertical: { _unit: 'pixelsUnit', _value: points[i].y }
+                        },
+                        tolerance: settings.tolerance,
+                        antiAlias: true,
+                        contiguous: true
+                    }], {});
+                }
+
+                await this._refineBackgroundSelection(settings.expand, settings.feather);
+            }, { commandName: 'MagicWandSelect' });
+
+            // Like Color Range, the wand selects the background - flip it to the subject
+            await this._invertSelection();
+            await this._applySubjectSelection(settings.edge);
+
+            this.logger.info('Magic Wand background removal completed', { points: points.length });
 
         } catch (error) {
             this.logger.error('Magic Wand failed', error);
@@ -122,13 +339,125 @@ class BackgroundService {
         }
     }
 
+    // Refines the current selection (the subject) and turns it into a layer mask
+    // on the working layer. Nothing is erased - paint the mask to fix hair and edges.
+    async _applySubjectSelection(edge = null) {
+        const settings = this.getEdgeSettings(edge);
+
+        try {
+            this.logger.debug('Masking subject', settings);
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchPlay = require('photoshop').action.batchPlay;
+
+                if (settings.decontaminate > 0) {
+                    // Select and Mask makes a new masked layer with cleaned edge colors
+                    await batchPlay([this._refineEdgeDescriptor(settings, 'selectionOutputToNewLayerWithMask')], {});
+                    return;
+                }
+
+                if (settings.selectAndMask) {
+                    await batchPlay([this._refineEdgeDescriptor(settings, 'selectionOutputToSelection')], {});
+                } else if (settings.feather > 0) {
+                    await batchPlay([{
+                        _obj: 'feather',
+                        radius: { _unit: 'pixelsUnit', _value: settings.feather },
+                        selectionModifyEffectAtCanvasBounds: true
+                    }], {});
+                }
+
+                await batchPlay([{
+                    _obj: 'make',
+                    new: { _class: 'channel' },
+                    at: { _ref: 'channel', _enum: 'channel', _value: 'mask' },
+                    using: { _enum: 'userMaskEnabled', _value: 'revealSelection' }
+                }], {});
+            }, { commandName: 'MaskSubject' });
+
+            if (settings.decontaminate > 0) {
+                await this._replaceWorkingLayer();
+            }
+
+            await this._deselect();
+        } catch (error) {
+            this.logger.error('Failed to mask subject', error, { quality: settings.quality });
+            throw error;
+        }
+    }
+
+    // edge: an edgeQualities key, or { quality, ...overrides }. Unknown or missing
+    // qualities fall back to 'balanced'.
+    getEdgeSettings(edge = null) {
+        const { quality = 'balanced', ...overrides } = typeof edge === 'string' ? { quality: edge } : (edge || {});
+        const key = this.edgeQualities[quality] ? quality : 'balanced';
+        return { quality: key, ...this.edgeQualities[key], ...overrides };
+    }
+
+    getEdgeQualitiesList() {
+        return Object.entries(this.edgeQualities).map(([key, value]) => ({ id: key, name: value.name, description: value.description }));
+    }
+
+    _refineEdgeDescriptor(settings, output) {
+        return {
+            _obj: 'refineSelectionEdge',
+            refineEdgeBorderRadius: { _unit: 'pixelsUnit', _value: settings.radius },
+            refineEdgeBorderContrast: { _unit: 'percentUnit', _value: 0 },
+            refineEdgeSmooth: settings.smooth,
+            refineEdgeFeatherRadius: { _unit: 'pixelsUnit', _value: settings.feather },
+            refineEdgeChoke: { _unit: 'percentUnit', _value: settings.shift },
+            refineEdgeAutoRadius: settings.smartRadius,
+            refineEdgeDecontaminate: settings.decontaminate > 0,
+            refineEdgeDeconWeight: { _unit: 'percentUnit', _value: settings.decontaminate },
+            refineEdgeOutput: { _enum: 'refineEdgeOutput', _value: output }
+        };
+    }
+
+    // After a decontaminating refine the new masked layer is active and the old
+    // working layer is hidden under it - drop the old one and take over its name
+    async _replaceWorkingLayer() {
+        await this.ps.deleteLayerByName(this.workingLayerName);
+
+        await require('photoshop').core.executeAsModal(async () => {
+            await require('photoshop').action.batchPlay([{
+                _obj: 'set',
+                _target: [{ _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' }],
+                to: { _obj: 'layer', name: this.workingLayerName }
+            }], {});
+        }, { commandName: 'RenameWorkingLayer' });
+    }
+
+    // Grows the background selection into the fringe around the subject, then
+    // softens the cut. Runs inside the caller's modal scope.
+    async _refineBackgroundSelection(expand, feather) {
+        const batchPlay = require('photoshop').action.batchPlay;
+
+        if (expand > 0) {
+            await batchPlay([{
+                _obj: 'expand',
+                by: { _unit: 'pixelsUnit', _value: expand },
+                selectionModifyEffectAtCanvasBounds: true
+            }], {});
+        }
+        if (feather > 0) {
+            await batchPlay([{
+                _obj: 'feather',
+                radius: { _unit: 'pixelsUnit', _value: feather },
+                selectionModifyEffectAtCanvasBounds: true
+            }], {});
+        }
+    }
+
     // ==========================================
     // BACKGROUND REPLACEMENT METHODS
     // ==========================================
 
-    async replaceBackground(color = 'white') {
+    // color: a name from this.colors, a hex string ('#1A73E8' or '#FFF') or { r, g, b }
+    async replaceBackground(color = 'white', method = 'selectSubject', options = {}) {
         try {
-            this.logger.info('Replacing background', { color });
+            this.logger.info('Replacing background', { color, method });
+
+            // Fail on a bad color before anything is removed
+            this._parseColor(color);
 
             const doc = await this.ps.getActiveDocument();
 
@@ -136,20 +465,17 @@ class BackgroundService {
             await this.ps.createHistorySnapshot('Before Background Replacement');
 
             // First remove the background
-            await this.removeBackground('selectSubject');
+            await this.removeBackground(method, options);
 
-            // Then fill with color
+            // Then put the color underneath - layers are kept until the user flattens
             await this._fillBackground(color);
 
-            // Flatten image
-            await this.ps.flattenImage();
-
             this.logger.info('Background replaced successfully', { color });
 
             return {
                 success: true,
                 color,
-                message: `Background replaced with ${color}`
+                message: `Background replaced with ${this.describeColor(color)}`
             };
 
         } catch (error) {
@@ -166,67 +492,656 @@ class BackgroundService {
         }
     }
 
+    // Solid color fill layer right under the working layer. An existing one is
+    // recolored instead, so the color can change without re-running removal.
     async _fillBackground(color) {
         try {
             this.logger.debug('Filling background with color', { color });
 
-            // Create a new layer below current layer
+            const rgbColor = this._parseColor(color);
+
+            if (this._findLayer(this.fillLayerName)) {
+                await this.setBackgroundColor(color);
+                return;
+            }
+
             await require('photoshop').core.executeAsModal(async () => {
-                // Create new layer
-                const createLayer = [{
+                const batchPlay = require('photoshop').action.batchPlay;
+
+                // Created above the active (working) layer...
+                await batchPlay([{
                     _obj: 'make',
-                    _target: [{ _ref: 'layer' }],
-                    layerID: 999
-                }];
-                await require('photoshop').action.batchPlay(createLayer, {});
+                    _target: [{ _ref: 'contentLayer' }],
+                    using: {
+                        _obj: 'contentLayer',
+                        name: this.fillLayerName,
+                        type: {
+                            _obj: 'solidColorLayer',
+                            color: { _obj: 'RGBColor', red: rgbColor.r, grain: rgbColor.g, blue: rgbColor.b }
+                        }
+                    }
+                }], {});
+            }, { commandName: 'FillBackground' });
+
+            // ...then sent one step back, below the subject
+            await this._sendBelowSubject();
+
+            this.logger.info('Background filled successfully', { color });
+
+        } catch (error) {
+            this.logger.error('Failed to fill background', error);
+            throw error;
+        }
+    }
+
+    // Recolors the fill layer from an earlier removal - no AI re-run needed
+    async setBackgroundColor(color) {
+        try {
+            const rgbColor = this._parseColor(color);
+
+            if (!this._findLayer(this.fillLayerName)) {
+                throw new Error(`No "${this.fillLayerName}" layer - replace the background first`);
+            }
+
+            this.logger.info('Changing background color', { color });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchPlay = require('photoshop').action.batchPlay;
+                const active = this.ps.app.activeDocument.activeLayers[0];
+
+                await batchPlay([
+                    {
+                        _obj: 'select',
+                        _target: [{ _ref: 'layer', _name: this.fillLayerName }],
+                        makeVisible: false
+                    },
+                    {
+                        _obj: 'set',
+                        _target: [{ _ref: 'contentLayer', _enum: 'ordinal', _value: 'targetEnum' }],
+                        to: {
+                            _obj: 'solidColorLayer',
+                            color: { _obj: 'RGBColor', red: rgbColor.r, grain: rgbColor.g, blue: rgbColor.b }
+                        }
+                    }
+                ], {});
 
-                // Move it below active layer
-                const moveLayer = [{
+                if (active) {
+                    await batchPlay([{
+                        _obj: 'select',
+                        _target: [{ _ref: 'layer', _id: active.id }],
+                        makeVisible: false
+                    }], {});
+                }
+            }, { commandName: 'SetBackgroundColor' });
+
+            return { success: true, color, message: `Background changed to ${this.describeColor(color)}` };
+
+        } catch (error) {
+            this.logger.error('Failed to change background color', error, { color });
+            throw error;
+        }
+    }
+
+    // True when the document holds a masked subject and fill layer from an earlier removal
+    hasEditableBackground() {
+        return !!this._findLayer(this.fillLayerName);
+    }
+
+    _findLayer(name) {
+        const doc = this.ps.app.activeDocument;
+        return doc ? doc.layers.find(layer => layer.name === name) || null : null;
+    }
+
+    // Moves the active layer (created above the working layer) one step back,
+    // then leaves the subject active for the steps that follow
+    async _sendBelowSubject() {
+        await require('photoshop').core.executeAsModal(async () => {
+            await require('photoshop').action.batchPlay([
+                {
                     _obj: 'move',
                     _target: [{ _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' }],
-                    to: {
-                        _ref: 'layer',
-                        _enum: 'ordinal',
-                        _value: 'next'
+                    to: { _ref: 'layer', _enum: 'ordinal', _value: 'previous' }
+                },
+                {
+                    _obj: 'select',
+                    _target: [{ _ref: 'layer', _name: this.workingLayerName }],
+                    makeVisible: false
+                }
+            ], {});
+        }, { commandName: 'SendBelowSubject' });
+    }
+
+    async _selectWorkingLayer() {
+        await require('photoshop').core.executeAsModal(async () => {
+            await require('photoshop').action.batchPlay([{
+                _obj: 'select',
+                _target: [{ _ref: 'layer', _name: this.workingLayerName }],
+                makeVisible: false
+            }], {});
+        }, { commandName: 'SelectWorkingLayer' });
+    }
+
+    // ==========================================
+    // BACKGROUND DESIGNS
+    // ==========================================
+
+    // background: a preset id or a design { type, ... } - see builtInPresets.
+    // A cut-out from an earlier run is reused, so switching designs doesn't
+    // re-run the removal.
+    async applyBackground(background, method = 'selectSubject', options = {}) {
+        const design = typeof background === 'string' ? this.getPreset(background) : background;
+
+        try {
+            this.logger.info('Applying background design', { background: design && design.name, type: design && design.type, method });
+
+            if (!design) {
+                throw new Error(`Unknown background preset: ${background}`);
+            }
+
+            // Fail on a bad design before anything is removed
+            const validation = this.validateBackgroundDesign(design);
+            if (!validation.valid) {
+                throw new Error(validation.error);
+            }
+
+            await this.ps.getActiveDocument();
+            await this.ps.createHistorySnapshot('Before Background Design');
+
+            const reusedCutout = !!this._findLayer(this.workingLayerName);
+            if (reusedCutout) {
+                await this._clearBackgroundLayers();
+                await this._selectWorkingLayer();
+            } else {
+                if (method === 'selectSubject') {
+                    const availability = await this.checkSelectSubjectAvailable();
+                    if (!availability.available) {
+                        throw new Error(`${availability.message} - try the Color Range or Magic Wand method instead`);
                     }
-                }];
-                await require('photoshop').action.batchPlay(moveLayer, {});
+                }
 
-                // Fill the layer with color
-                const rgbColor = this._parseColor(color);
-                const fillLayer = [{
-                    _obj: 'fill',
+                await this.removeBackground(method, options);
+            }
+
+            if (design.type === 'color') {
+                await this._fillBackground(design.color);
+            } else if (design.type === 'gradient') {
+                await this._fillGradientBackground(design);
+            } else if (design.type === 'image') {
+                await this._placeImageBackground(design);
+            } else {
+                await this._blurOriginalBackground(design);
+            }
+
+            this.logger.info('Background design applied', { type: design.type, reusedCutout });
+
+            return {
+                success: true,
+                type: design.type,
+                layerName: this.backgroundLayerNames[design.type],
+                reusedCutout,
+                message: `Background set to ${this.describeBackground(design)}`
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to apply background design', error, { type: design && design.type });
+
+            if (this.errorHandler) {
+                await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, {
+                    operation: 'applyBackground',
+                    type: design && design.type,
+                    method
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    describeBackground(design) {
+        if (design.type === 'color') {
+            return this.describeColor(design.color);
+        }
+        if (design.type === 'gradient') {
+            return `${design.gradientType} gradient ${design.colors.join(' → ')}`;
+        }
+        if (design.type === 'image') {
+            return `image ${design.fileName || ''}`.trim();
+        }
+        return `blurred original (${design.blurRadius}px)`;
+    }
+
+    async pickBackgroundImage() {
+        const fs = require('uxp').storage.localFileSystem;
+        const file = await fs.getFileForOpening({ types: ['png', 'jpg', 'jpeg', 'webp'] });
+        if (!file) {
+            return null;
+        }
+
+        // Persistent tokens survive restarts, so saved presets keep their image
+        const token = await fs.createPersistentToken(file);
+        this.logger.info('Background image selected', { file: file.name });
+
+        return { token, fileName: file.name };
+    }
+
+    // Removes the layers of every background type, so designs don't stack up
+    async _clearBackgroundLayers() {
+        for (const name of Object.values(this.backgroundLayerNames)) {
+            if (this._findLayer(name)) {
+                await this.ps.deleteLayerByName(name);
+            }
+        }
+    }
+
+    // Editable gradient fill layer. Linear gradients run from the first color at
+    // design.angle (90 = bottom up); radial ones start with the first color in the center.
+    async _fillGradientBackground(design) {
+        try {
+            this.logger.debug('Filling background with gradient', { colors: design.colors, gradientType: design.gradientType });
+
+            const stops = design.colors.map(color => this._parseColor(color));
+            const radial = design.gradientType === 'radial';
+
+            await require('photoshop').core.executeAsModal(async () => {
+                await require('photoshop').action.batchPlay([{
+                    _obj: 'make',
+                    _target: [{ _ref: 'contentLayer' }],
                     using: {
-                        _enum: 'fillContents',
-                        _value: 'color'
+                        _obj: 'contentLayer',
+                        name: this.backgroundLayerNames.gradient,
+                        type: {
+                            _obj: 'gradientLayer',
+                            angle: { _unit: 'angleUnit', _value: design.angle !== undefined ? design.angle : 90 },
+                            type: { _enum: 'gradientType', _value: design.gradientType },
+                            // Radial gradients reach the corners instead of the edges
+                            scale: { _unit: 'percentUnit', _value: radial ? 150 : 100 },
+                            dither: true,
+                            gradient: {
+                                _obj: 'gradientClassEvent',
+                                name: 'Custom',
+                                gradientForm: { _enum: 'gradientForm', _value: 'customStops' },
+                                interfaceIconFrameDimmed: 4096,
+                                colors: stops.map((rgb, index) => ({
+                                    _obj: 'colorStop',
+                                    color: { _obj: 'RGBColor', red: rgb.r, grain: rgb.g, blue: rgb.b },
+                                    type: { _enum: 'colorStopType', _value: 'userStop' },
+                                    location: index * 4096,
+                                    midpoint: 50
+                                })),
+                                transparency: [0, 4096].map(location => ({
+                                    _obj: 'transferSpec',
+                                    opacity: { _unit: 'percentUnit', _value: 100 },
+                                    location: location,
+                                    midpoint: 50
+                                }))
+                            }
+                        }
+                    }
+                }], {});
+            }, { commandName: 'FillGradientBackground' });
+
+            await this._sendBelowSubject();
+
+        } catch (error) {
+            this.logger.error('Failed to fill background with gradient', error);
+            throw error;
+        }
+    }
+
+    // Places the image scaled to cover the whole canvas - the overflow is cropped
+    // by the canvas, not the layer, so it can still be moved afterwards
+    async _placeImageBackground(design) {
+        try {
+            this.logger.debug('Placing background image', { file: design.fileName });
+
+            let file;
+            try {
+                file = await require('uxp').storage.localFileSystem.getEntryForPersistentToken(design.token);
+            } catch (err) {
+                throw new Error(`Background image ${design.fileName ? `"${design.fileName}" ` : ''}could not be opened - choose it again`);
+            }
+
+            const doc = await this.ps.getActiveDocument();
+            await this.ps.placeImage(file, { left: 0, top: 0, right: doc.width, bottom: doc.height }, this.backgroundLayerNames.image, 'cover');
+
+            await this._sendBelowSubject();
+
+        } catch (error) {
+            this.logger.error('Failed to place background image', error);
+            throw error;
+        }
+    }
+
+    // Blurs a copy of the working layer with the subject content-aware filled
+    // away first - otherwise the blur smears the subject's colors past the mask
+    // edge and leaves a dark halo around the cut-out
+    async _blurOriginalBackground(design) {
+        try {
+            this.logger.debug('Blurring original background', { blurRadius: design.blurRadius });
+
+            await this.ps.duplicateLayer(this.backgroundLayerNames.blur);
+
+            // The copy's mask is the subject: load it as the selection, slightly grown
+            await require('photoshop').core.executeAsModal(async () => {
+                await require('photoshop').action.batchPlay([
+                    {
+                        _obj: 'set',
+                        _target: [{ _ref: 'channel', _property: 'selection' }],
+                        to: { _ref: 'channel', _enum: 'channel', _value: 'mask' }
                     },
-                    color: {
-                        _obj: 'RGBColor',
-                        red: rgbColor.r,
-                        grain: rgbColor.g,
-                        blue: rgbColor.b
+                    {
+                        _obj: 'expand',
+                        by: { _unit: 'pixelsUnit', _value: this.blurSubjectExpand },
+                        selectionModifyEffectAtCanvasBounds: true
+                    }
+                ], {});
+            }, { commandName: 'SelectSubjectArea' });
+
+            await this._deleteLayerMask();
+
+            await require('photoshop').core.executeAsModal(async () => {
+                await require('photoshop').action.batchPlay([
+                    {
+                        _obj: 'fill',
+                        using: { _enum: 'fillContents', _value: 'contentAware' },
+                        contentAwareColorAdaptationFill: true,
+                        opacity: { _unit: 'percentUnit', _value: 100 },
+                        mode: { _enum: 'blendMode', _value: 'normal' }
                     },
-                    opacity: {
-                        _unit: 'percentUnit',
-                        _value: 100
+                    {
+                        _obj: 'set',
+                        _target: [{ _ref: 'channel', _property: 'selection' }],
+                        to: { _enum: 'ordinal', _value: 'none' }
                     },
-                    mode: {
-                        _enum: 'blendMode',
-                        _value: 'normal'
+                    {
+                        _obj: 'gaussianBlur',
+                        radius: { _unit: 'pixelsUnit', _value: design.blurRadius }
                     }
-                }];
-                await require('photoshop').action.batchPlay(fillLayer, {});
+                ], {});
+            }, { commandName: 'BlurBackground' });
 
-            }, { commandName: 'FillBackground' });
+            await this._sendBelowSubject();
 
-            this.logger.info('Background filled successfully', { color });
+        } catch (error) {
+            this.logger.error('Failed to blur original background', error);
+            throw error;
+        }
+    }
+
+    validateBackgroundDesign(design) {
+        const validator = this.ps.validator;
+
+        if (!design || typeof design !== 'object') {
+            return { valid: false, error: 'Background design is required' };
+        }
+
+        const typeValidation = validator.validateEnum(design.type, this.backgroundTypes);
+        if (!typeValidation.valid) {
+            return { valid: false, error: `Background type: ${typeValidation.error}` };
+        }
+
+        if (design.type === 'color') {
+            if (!validator.validateHexColor(design.color).valid) {
+                return { valid: false, error: 'Background color must be a hex color like #FFFFFF' };
+            }
+        } else if (design.type === 'gradient') {
+            if (!Array.isArray(design.colors) || design.colors.length !== 2) {
+                return { valid: false, error: 'Gradient backgrounds need exactly 2 colors' };
+            }
+            const invalid = design.colors.find(color => !validator.validateHexColor(color).valid);
+            if (invalid !== undefined) {
+                return { valid: false, error: `Invalid gradient color: ${invalid}` };
+            }
+
+            const gradientValidation = validator.validateEnum(design.gradientType, this.gradientTypes);
+            if (!gradientValidation.valid) {
+                return { valid: false, error: `Gradient type: ${gradientValidation.error}` };
+            }
+
+            const angleValidation = validator.validateNumber(design.angle, -180, 180, false);
+            if (!angleValidation.valid) {
+                return { valid: false, error: `Gradient angle: ${angleValidation.error}` };
+            }
+        } else if (design.type === 'image') {
+            if (typeof design.token !== 'string' || !design.token) {
+                return { valid: false, error: 'Background image is missing' };
+            }
+        } else {
+            const radiusValidation = validator.validateNumber(design.blurRadius, 1, this.maxBlurRadius);
+            if (!radiusValidation.valid) {
+                return { valid: false, error: `Blur radius: ${radiusValidation.error}` };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    // ==========================================
+    // BACKGROUND PRESETS
+    // ==========================================
+
+    get customPresets() {
+        return this.userPresets.items;
+    }
+
+    async loadPresets() {
+        await this.userPresets.load();
+        return this.getPresetsList();
+    }
+
+    getPreset(presetId) {
+        return this.userPresets.get(presetId);
+    }
+
+    getPresetsList() {
+        return this.userPresets.getList(value => ({ type: value.type }));
+    }
+
+    validateBackgroundPreset(entry, isUpdate = false) {
+        return this.userPresets.validate(entry, isUpdate);
+    }
+
+    async savePreset(entry, isUpdate = false) {
+        return await this.userPresets.save(entry, isUpdate);
+    }
+
+    async deletePreset(id) {
+        return await this.userPresets.remove(id);
+    }
+
+    // ==========================================
+    // BACKGROUND ANALYSIS
+    // ==========================================
+
+    // Samples the background around the subject and measures how even it is.
+    // targetColor is the fill that was applied; without one, deviation is
+    // measured from the background's own average color.
+    // Returns { status: 'pass' | 'warn', luminanceStdDev, meanDeviation,
+    // unevenCells: [{ left, top, right, bottom }], method, sampledPixels }.
+    async analyzeBackground(targetColor = null) {
+        try {
+            this.logger.info('Analyzing background evenness', { targetColor });
+
+            // An old heatmap would be sampled as a red background
+            await this.clearUnevenBackground();
+
+            const sample = await this.ps.samplePixels(this.evenness.sampleWidth, true);
+            const { width, height, rgb } = sample;
+
+            const isBackground = this._getBackgroundMask(sample);
+            const indices = [];
+            for (let i = 0; i < isBackground.length; i++) {
+                if (isBackground[i]) indices.push(i);
+            }
+
+            if (indices.length === 0) {
+                throw new Error('No background visible to analyze');
+            }
+
+            // Luminance spread and average color over the whole background
+            let lumSum = 0;
+            let lumSquares = 0;
+            const average = { r: 0, g: 0, b: 0 };
+            indices.forEach(i => {
+                const lum = this._luminance(rgb, i);
+                lumSum += lum;
+                lumSquares += lum * lum;
+                average.r += rgb[i * 3];
+                average.g += rgb[i * 3 + 1];
+                average.b += rgb[i * 3 + 2];
+            });
+
+            const meanLuminance = lumSum / indices.length;
+            const luminanceStdDev = Math.sqrt(Math.max(0, lumSquares / indices.length - meanLuminance * meanLuminance));
+            ['r', 'g', 'b'].forEach(key => { average[key] /= indices.length; });
+
+            const target = targetColor ? this._parseColor(targetColor) : average;
+            const meanDeviation = indices.reduce((sum, i) => sum + this._distance(rgb, i, target), 0) / indices.length;
+
+            const unevenCells = this._findUnevenCells(sample, isBackground, target, meanLuminance);
+
+            const status = luminanceStdDev <= this.evenness.maxLuminanceStdDev
+                && meanDeviation <= this.evenness.maxMeanDeviation
+                && unevenCells.length === 0 ? 'pass' : 'warn';
+
+            const report = {
+                status,
+                luminanceStdDev: Math.round(luminanceStdDev * 10) / 10,
+                meanDeviation: Math.round(meanDeviation * 10) / 10,
+                targetColor: this.toHex(target),
+                unevenCells,
+                method: sample.mask ? 'subject' : 'edges',
+                sampledPixels: indices.length,
+                sampleSize: `${width}x${height}`
+            };
+
+            this.logger.info('Background analyzed', { ...report, unevenCells: unevenCells.length });
+            return report;
 
         } catch (error) {
-            this.logger.error('Failed to fill background', error);
+            this.logger.error('Failed to analyze background', error);
             throw error;
         }
     }
 
+    // Background pixels of the sample. With a subject mask everything outside it
+    // counts, less a 2px band around the subject where hair and edges blend in.
+    // Without one, only the top band and side strips are used.
+    _getBackgroundMask(sample) {
+        const { width, height, mask } = sample;
+        const isBackground = new Uint8Array(width * height);
+        const band = 2;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!mask) {
+                    isBackground[y * width + x] = y < height * 0.12 || x < width * 0.08 || x >= width * 0.92 ? 1 : 0;
+                    continue;
+                }
+
+                let nearSubject = false;
+                for (let dy = -band; dy <= band && !nearSubject; dy++) {
+                    for (let dx = -band; dx <= band; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx >= 0 && ny >= 0 && nx < width && ny < height && mask[ny * width + nx] > 16) {
+                            nearSubject = true;
+                            break;
+                        }
+                    }
+                }
+                isBackground[y * width + x] = nearSubject ? 0 : 1;
+            }
+        }
+
+        return isBackground;
+    }
+
+    // Grid cells (in document pixels) whose background is off-color or
+    // noticeably darker or lighter than the rest - shadows and gradients
+    _findUnevenCells(sample, isBackground, target, meanLuminance) {
+        const { width, height, rgb, scale } = sample;
+        const cellSize = Math.max(4, Math.ceil(width / this.evenness.gridSize));
+        const cells = [];
+
+        for (let top = 0; top < height; top += cellSize) {
+            for (let left = 0; left < width; left += cellSize) {
+                let count = 0;
+                let lumSum = 0;
+                let deviationSum = 0;
+                let total = 0;
+
+                for (let y = top; y < Math.min(top + cellSize, height); y++) {
+                    for (let x = left; x < Math.min(left + cellSize, width); x++) {
+                        total++;
+                        const i = y * width + x;
+                        if (!isBackground[i]) continue;
+                        count++;
+                        lumSum += this._luminance(rgb, i);
+                        deviationSum += this._distance(rgb, i, target);
+                    }
+                }
+
+                // Mostly subject - too few background pixels to judge
+                if (count < total * 0.3) continue;
+
+                const deviation = deviationSum / count;
+                const shift = Math.abs(lumSum / count - meanLuminance);
+                if (deviation > this.evenness.maxCellDeviation || shift > this.evenness.maxCellLuminanceShift) {
+                    cells.push({
+                        left: Math.round(left / scale),
+                        top: Math.round(top / scale),
+                        right: Math.round(Math.min(left + cellSize, width) / scale),
+                        bottom: Math.round(Math.min(top + cellSize, height) / scale)
+                    });
+                }
+            }
+        }
+
+        return cells;
+    }
+
+    _luminance(rgb, i) {
+        return 0.2126 * rgb[i * 3] + 0.7152 * rgb[i * 3 + 1] + 0.0722 * rgb[i * 3 + 2];
+    }
+
+    _distance(rgb, i, color) {
+        return Math.sqrt(
+            Math.pow(rgb[i * 3] - color.r, 2) +
+            Math.pow(rgb[i * 3 + 1] - color.g, 2) +
+            Math.pow(rgb[i * 3 + 2] - color.b, 2)
+        );
+    }
+
+    // Paints the uneven cells red on a semi-transparent layer above the photo.
+    // Any previous heatmap is replaced.
+    async showUnevenBackground(cells) {
+        try {
+            await this.clearUnevenBackground();
+            if (!cells.length) {
+                return { success: true, layerName: null };
+            }
+
+            await this.ps.createLayer(this.heatmapLayerName);
+            await this.ps.deselect();
+            await this.ps.addShapesToSelection(cells, 'rectangle');
+            await this.ps.fillSelection({ r: 229, g: 62, b: 62 }, 45);
+            await this.ps.deselect();
+
+            this.logger.info('Background heatmap drawn', { cells: cells.length });
+            return { success: true, layerName: this.heatmapLayerName };
+        } catch (error) {
+            this.logger.error('Failed to draw background heatmap', error);
+            throw error;
+        }
+    }
+
+    async clearUnevenBackground() {
+        if (this._findLayer(this.heatmapLayerName)) {
+            await this.ps.deleteLayerByName(this.heatmapLayerName);
+        }
+    }
+
     // ==========================================
     // HELPER METHODS
     // ==========================================
@@ -245,16 +1160,30 @@ class BackgroundService {
         }
     }
 
-    async _deleteSelection() {
+    // Drops the active layer's mask (without applying it), if it has one
+    async _deleteLayerMask() {
         try {
             await require('photoshop').core.executeAsModal(async () => {
-                const batchCommands = [{
-                    _obj: 'delete'
-                }];
-                await require('photoshop').action.batchPlay(batchCommands, {});
-            }, { commandName: 'DeleteSelection' });
+                const batchPlay = require('photoshop').action.batchPlay;
+
+                const [layer] = await batchPlay([{
+                    _obj: 'get',
+                    _target: [
+                        { _property: 'hasUserMask' },
+                        { _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' }
+                    ]
+                }], {});
+
+                if (layer && layer.hasUserMask) {
+                    await batchPlay([{
+                        _obj: 'delete',
+                        _target: [{ _ref: 'channel', _enum: 'channel', _value: 'mask' }],
+                        apply: false
+                    }], {});
+                }
+            }, { commandName: 'DeleteLayerMask' });
         } catch (error) {
-            this.logger.error('Failed to delete selection', error);
+            this.logger.error('Failed to delete layer mask', error);
             throw error;
         }
     }
@@ -275,24 +1204,34 @@ class BackgroundService {
         }
     }
 
+    // Name, hex (3 or 6 digits) or { r, g, b } to { r, g, b }. Throws on anything
+    // else rather than quietly painting the background white.
     _parseColor(color) {
-        // Parse color name or hex to RGB
-        const colorMap = {
-            'white': { r: 255, g: 255, b: 255 },
-            'lightgray': { r: 211, g: 211, b: 211 },
-            'gray': { r: 128, g: 128, b: 128 },
-            'lightblue': { r: 173, g: 216, b: 230 },
-            'blue': { r: 0, g: 0, b: 255 },
-            'black': { r: 0, g: 0, b: 0 }
-        };
+        const validator = this.ps.validator;
+
+        if (color && typeof color === 'object') {
+            const validation = validator.validateRGB(color.r, color.g, color.b);
+            if (!validation.valid) {
+                throw new Error(validation.error);
+            }
+            return { r: Math.round(color.r), g: Math.round(color.g), b: Math.round(color.b) };
+        }
 
-        if (colorMap[color.toLowerCase()]) {
-            return colorMap[color.toLowerCase()];
+        const name = String(color || '').toLowerCase();
+        if (this.colors[name]) {
+            return { ...this.colors[name] };
         }
 
-        // Try to parse hex color
-        if (color.startsWith('#')) {
-            const hex = color.replace('#', '');
+        if (name.startsWith('#')) {
+            const validation = validator.validateHexColor(name);
+            if (!validation.valid) {
+                throw new Error(`Invalid hex color "${color}" - use #RGB or #RRGGBB`);
+            }
+
+            let hex = name.substring(1);
+            if (hex.length === 3) {
+                hex = hex.split('').map(digit => digit + digit).join('');
+            }
             return {
                 r: parseInt(hex.substring(0, 2), 16),
                 g: parseInt(hex.substring(2, 4), 16),
@@ -300,8 +1239,17 @@ class BackgroundService {
             };
         }
 
-        // Default to white
-        return { r: 255, g: 255, b: 255 };
+        throw new Error(`Unknown background color "${color}"`);
+    }
+
+    // #RRGGBB for any accepted color value
+    toHex(color) {
+        const { r, g, b } = this._parseColor(color);
+        return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    describeColor(color) {
+        return typeof color === 'string' && this.colors[color.toLowerCase()] ? color : this.toHex(color);
     }
 
     // ==========================================
@@ -346,14 +1294,21 @@ class BackgroundService {
     // COMBINED OPERATION
     // ==========================================
 
-    async removeAndReplaceBackground(color = 'white') {
+    // method: 'selectSubject' (AI), 'colorRange' (plain backdrop) or 'magicWand'
+    // (sample points) - the last two work on any Photoshop version
+    async removeAndReplaceBackground(color = 'white', method = 'selectSubject', options = {}) {
         try {
-            this.logger.info('Remove and replace background operation', { color });
+            this.logger.info('Remove and replace background operation', { color, method });
+
+            // Fail on a bad color before anything is removed
+            this._parseColor(color);
 
             // Check if Select Subject is available
-            const availability = await this.checkSelectSubjectAvailable();
-            if (!availability.available) {
-                throw new Error(availability.message);
+            if (method === 'selectSubject') {
+                const availability = await this.checkSelectSubjectAvailable();
+                if (!availability.available) {
+                    throw new Error(`${availability.message} - try the Color Range or Magic Wand method instead`);
+                }
             }
 
             // Get document
@@ -362,28 +1317,22 @@ class BackgroundService {
             // Create snapshot
             await this.ps.createHistorySnapshot('Before Background Processing');
 
-            // Step 1: Remove background using AI
-            this.logger.info('Step 1: Removing background...');
-            await this.removeBackground('selectSubject');
+            // Step 1: Remove the background
+            this.logger.info('Step 1: Removing background...', { method });
+            await this.removeBackground(method, options);
 
             // Step 2: Fill with new background color
             this.logger.info('Step 2: Adding new background...');
             await this._fillBackground(color);
 
-            // Step 3: Flatten (optional - can be skipped to keep layers)
-            this.logger.info('Step 3: Flattening image...');
-            try {
-                await this.ps.flattenImage();
-            } catch (err) {
-                this.logger.warn('Could not flatten image, keeping layers', err);
-            }
+            // No flatten: the mask and fill layer stay editable until the user flattens
 
             this.logger.info('Background removed and replaced successfully');
 
             return {
                 success: true,
                 color,
-                message: `Background removed and replaced with ${color}`
+                message: `Background removed and replaced with ${this.describeColor(color)}`
             };
 
         } catch (error) {
@@ -392,7 +1341,8 @@ class BackgroundService {
             if (this.errorHandler) {
                 await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, {
                     operation: 'removeAndReplaceBackground',
-                    color
+                    color,
+                    method
                 });
             }
 
@@ -0,0 +1,209 @@
+// ==========================================
+// EXPORT SERVICE
+// Save the active document to PNG, JPEG or WebP
+// ==========================================
+
+class ExportService {
+    constructor(photoshopService, logger, errorHandler) {
+        this.ps = photoshopService;
+        this.logger = logger || console;
+        this.errorHandler = errorHandler;
+
+        // Supported output formats. quality is the range in the format's own scale:
+        // Photoshop saves JPEG at 13 levels (0-12), WebP at 1-100.
+        this.formats = {
+            png: { name: 'PNG', extension: 'png', hasQuality: false },
+            jpg: { name: 'JPEG', extension: 'jpg', hasQuality: true, quality: { min: 0, max: 12, levels: true } },
+            webp: { name: 'WebP', extension: 'webp', hasQuality: true, quality: { min: 10, max: 100, levels: false } }
+        };
+    }
+
+    async pickFolder() {
+        const folder = await require('uxp').storage.localFileSystem.getFolder();
+        if (folder) {
+            this.logger.info('Export folder selected', { folder: folder.name });
+        }
+        return folder;
+    }
+
+    // options.format        - 'png' | 'jpg' | 'webp'
+    // options.quality       - 1-100, starting quality for JPEG/WebP (mapped to the format's scale)
+    // options.maxFileSizeKB - optional budget, reached by searching for the best quality
+    // options.minFileSizeKB - optional lower limit some upload portals enforce
+    // options.fileName      - base name without extension (defaults to the document name)
+    // options.hiddenLayers  - layer names hidden while saving (e.g. preview overlays)
+    async exportActiveDocument(folder, options = {}) {
+        const format = (options.format || 'png').toLowerCase();
+        const maxFileSizeKB = options.maxFileSizeKB || null;
+        const minFileSizeKB = options.minFileSizeKB || null;
+
+        try {
+            this.logger.info('Exporting document', { folder: folder.name, ...options });
+
+            const formatConfig = this.formats[format];
+            if (!formatConfig) {
+                throw new Error(`Unsupported export format: ${format}`);
+            }
+
+            const doc = await this.ps.getActiveDocument();
+            const baseName = options.fileName || this._stripExtension(doc.name);
+            const fileName = `${baseName}.${formatConfig.extension}`;
+            const file = await folder.createFile(fileName, { overwrite: true });
+
+            const hiddenLayers = options.hiddenLayers || [];
+            for (const layerName of hiddenLayers) {
+                await this.ps.setLayerVisibility(layerName, false);
+            }
+
+            let saved;
+            try {
+                saved = await this._saveWithinBudget(file, formatConfig, options.quality || 90, maxFileSizeKB, minFileSizeKB);
+            } finally {
+                for (const layerName of hiddenLayers) {
+                    await this.ps.setLayerVisibility(layerName, true);
+                }
+            }
+
+            this.logger.info('Document exported', { fileName, ...saved });
+
+            return {
+                success: true,
+                fileName,
+                folder: folder.name,
+                format: formatConfig.name,
+                ...saved,
+                qualityLabel: saved.quality === null ? null : this.describeQuality(formatConfig, saved.quality)
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to export document', error, { format, maxFileSizeKB, minFileSizeKB });
+
+            if (this.errorHandler) {
+                await this.errorHandler.handle('STORAGE_ERROR', error, {
+                    operation: 'exportActiveDocument',
+                    format
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    async _saveWithinBudget(file, formatConfig, startQuality, maxFileSizeKB, minFileSizeKB = null) {
+        const fits = (sizeKB) => (!maxFileSizeKB || sizeKB <= maxFileSizeKB) && (!minFileSizeKB || sizeKB >= minFileSizeKB);
+        const range = formatConfig.quality;
+        let quality = formatConfig.hasQuality ? this.toFormatQuality(formatConfig, startQuality) : null;
+
+        await this.ps.saveDocumentAs(file, formatConfig.extension, quality);
+        let sizeKB = await this._getFileSizeKB(file);
+
+        if (!maxFileSizeKB && !minFileSizeKB) {
+            return { quality, sizeKB, withinBudget: true };
+        }
+
+        if (!formatConfig.hasQuality) {
+            if (!fits(sizeKB)) {
+                this.logger.warn('PNG is outside the size limits and has no quality setting', { sizeKB, minFileSizeKB, maxFileSizeKB });
+            }
+            return { quality, sizeKB, withinBudget: fits(sizeKB) };
+        }
+
+        if (fits(sizeKB)) {
+            return { quality, sizeKB, withinBudget: true };
+        }
+
+        // Too big: highest lower quality that fits. Too small: lowest higher quality that fits.
+        const tooBig = maxFileSizeKB && sizeKB > maxFileSizeKB;
+        const result = tooBig
+            ? await this._searchQuality(file, formatConfig, range.min, quality - 1, size => size <= maxFileSizeKB, true)
+            : await this._searchQuality(file, formatConfig, quality + 1, range.max, size => size >= minFileSizeKB, false);
+
+        quality = result.quality;
+        sizeKB = result.sizeKB;
+
+        const withinBudget = fits(sizeKB);
+        if (!withinBudget) {
+            this.logger.warn('Could not reach the file size limits', { sizeKB, minFileSizeKB, maxFileSizeKB, quality });
+        }
+
+        return { quality, sizeKB, withinBudget };
+    }
+
+    // Binary search over JPEG levels or WebP quality. preferHigh picks the highest accepted
+    // quality, otherwise the lowest. Falls back to the closest end of the range.
+    // The file on disk always ends up saved at the returned quality.
+    async _searchQuality(file, formatConfig, low, high, accept, preferHigh) {
+        let best = null;
+        let last = null;
+
+        while (low <= high) {
+            const mid = Math.round((low + high) / 2);
+
+            await this.ps.saveDocumentAs(file, formatConfig.extension, mid);
+            const sizeKB = await this._getFileSizeKB(file);
+            last = { quality: mid, sizeKB };
+
+            this.logger.debug('Quality search step', { quality: mid, sizeKB });
+
+            if (accept(sizeKB)) {
+                best = last;
+                if (preferHigh) low = mid + 1; else high = mid - 1;
+            } else if (preferHigh) {
+                high = mid - 1;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        const range = formatConfig.quality;
+        const target = best || { quality: preferHigh ? range.min : range.max, sizeKB: null };
+        if (!last || last.quality !== target.quality) {
+            await this.ps.saveDocumentAs(file, formatConfig.extension, target.quality);
+            target.sizeKB = await this._getFileSizeKB(file);
+        } else if (target.sizeKB === null) {
+            target.sizeKB = last.sizeKB;
+        }
+
+        return target;
+    }
+
+    // 1-100 from the UI to the format's own scale
+    toFormatQuality(formatConfig, percent) {
+        const range = formatConfig.quality;
+        const value = Math.round(Number(percent) / 100 * range.max);
+        return Math.min(range.max, Math.max(range.min, value));
+    }
+
+    // The quality a file was actually saved with, e.g. "JPEG level 9/12"
+    describeQuality(formatConfig, quality) {
+        return formatConfig.quality.levels
+            ? `${formatConfig.name} level ${quality}/${formatConfig.quality.max}`
+            : `quality ${quality}`;
+    }
+
+    async _getFileSizeKB(file) {
+        const metadata = await file.getMetadata();
+        return Math.round(metadata.size / 1024 * 10) / 10;
+    }
+
+    _stripExtension(name) {
+        return name.replace(/\.[^.]+$/, '');
+    }
+
+    getFormatsList() {
+        return Object.entries(this.formats).map(([key, value]) => ({
+            id: key,
+            name: value.name,
+            hasQuality: value.hasQuality
+        }));
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.ExportService = ExportService;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportService;
+}
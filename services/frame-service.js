@@ -0,0 +1,440 @@
+// ==========================================
+// FRAME SERVICE
+// Rings, text arcs and badges drawn on top of profile pictures
+// ==========================================
+
+class FrameService {
+    constructor(photoshopService, logger, errorHandler, presetStore = null) {
+        this.ps = photoshopService;
+        this.logger = logger || console;
+        this.errorHandler = errorHandler;
+
+        // Every frame layer starts with this prefix so a frame can be replaced or removed.
+        // Plain "Frame " would also match the layers of Photoshop's Frame tool.
+        this.layerPrefix = 'PFP Frame ';
+        this.layerNames = {
+            ring: 'PFP Frame Ring',
+            text: 'PFP Frame Text',
+            badge: 'PFP Frame Badge'
+        };
+
+        this.ringStyles = ['solid', 'gradient'];
+        this.gradientTypes = ['linear', 'angle'];
+        this.textPositions = ['top', 'bottom'];
+        this.badgePositions = ['topLeft', 'topRight', 'bottomLeft', 'bottomRight'];
+        this.maxBadges = 4;
+
+        // Ring width and badge size are percentages of the avatar side,
+        // so one design works at every platform size
+        this.builtInPresets = {
+            hiring: {
+                name: '#Hiring',
+                ring: { style: 'solid', width: 12, color: '#7B3FE4' },
+                text: { content: '#HIRING', color: '#FFFFFF', position: 'bottom' }
+            },
+            open_to_work: {
+                name: '#OpenToWork',
+                ring: { style: 'solid', width: 12, color: '#57A640' },
+                text: { content: '#OPENTOWORK', color: '#FFFFFF', position: 'bottom' }
+            },
+            pride: {
+                name: 'Pride Ring',
+                ring: {
+                    style: 'gradient',
+                    width: 6,
+                    gradientType: 'linear',
+                    colors: ['#E40303', '#FF8C00', '#FFED00', '#008026', '#004DFF', '#750787']
+                }
+            },
+            instagram: {
+                name: 'Story Ring',
+                ring: {
+                    style: 'gradient',
+                    width: 4,
+                    gradientType: 'angle',
+                    colors: ['#FEDA75', '#FA7E1E', '#D62976', '#962FBF', '#4F5BD5', '#FEDA75']
+                }
+            }
+        };
+
+        this.userPresets = new PresetCollection(presetStore, {
+            label: 'frame',
+            validator: this.ps.validator,
+            builtIns: this.builtInPresets,
+            fields: { optional: ['ring', 'text', 'badges'] },
+            validate: entry => this.validateFrameDesign(entry)
+        });
+    }
+
+    // shape: 'circle' | 'rounded' | 'square'. cornerRadius is a fraction of the side.
+    async applyFrame(design, shape = 'circle', cornerRadius = 0.2) {
+        try {
+            this.logger.info('Applying frame', { shape, ring: design.ring && design.ring.style });
+
+            const validation = this.validateFrameDesign(design);
+            if (!validation.valid) {
+                throw new Error(validation.error);
+            }
+
+            const doc = await this.ps.getActiveDocument();
+            const area = this._getFrameArea(doc.width, doc.height);
+            const ringWidth = this._getRingWidth(design, area);
+
+            await this.ps.createHistorySnapshot('Before Frame');
+
+            // Re-applying replaces the previous frame instead of stacking rings
+            await this.removeFrame();
+
+            const layers = [];
+
+            if (design.ring) {
+                await this._drawRing(design.ring, area, ringWidth, shape, cornerRadius);
+                layers.push(this.layerNames.ring);
+            }
+
+            if (design.text && design.text.content && design.text.content.trim()) {
+                await this._drawText(design.text, area, ringWidth, shape);
+                layers.push(this.layerNames.text);
+            }
+
+            const badges = design.badges || [];
+            for (let i = 0; i < badges.length; i++) {
+                const name = `${this.layerNames.badge} ${i + 1}`;
+                await this._placeBadge(badges[i], area, name);
+                layers.push(name);
+            }
+
+            this.logger.info('Frame applied', { layers });
+
+            return { success: true, layers, shape };
+
+        } catch (error) {
+            this.logger.error('Failed to apply frame', error);
+
+            if (this.errorHandler) {
+                await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, {
+                    operation: 'applyFrame'
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    async removeFrame() {
+        const doc = this.ps.app.activeDocument;
+        if (!doc) {
+            return { success: true, removed: 0 };
+        }
+
+        const names = doc.layers
+            .map(layer => layer.name)
+            .filter(name => name.startsWith(this.layerPrefix));
+
+        for (const name of names) {
+            await this.ps.deleteLayerByName(name);
+        }
+
+        if (names.length > 0) {
+            this.logger.info('Frame removed', { layers: names.length });
+        }
+
+        return { success: true, removed: names.length };
+    }
+
+    // Lets the user pick a badge image. Returns a badge entry that can be stored
+    // in a preset, or null when cancelled.
+    async pickBadgeFile() {
+        const fs = require('uxp').storage.localFileSystem;
+        const file = await fs.getFileForOpening({ types: ['png', 'jpg', 'jpeg', 'webp'] });
+        if (!file) {
+            return null;
+        }
+
+        // Persistent tokens survive restarts, so saved presets keep their badges
+        const token = await fs.createPersistentToken(file);
+        this.logger.info('Badge image selected', { file: file.name });
+
+        return { token, fileName: file.name };
+    }
+
+    // ==========================================
+    // DRAWING
+    // ==========================================
+
+    // The frame is drawn inside the centered square of the canvas
+    _getFrameArea(docWidth, docHeight) {
+        const side = Math.min(docWidth, docHeight);
+        const left = Math.round((docWidth - side) / 2);
+        const top = Math.round((docHeight - side) / 2);
+
+        return {
+            left,
+            top,
+            right: left + side,
+            bottom: top + side,
+            side,
+            centerX: left + side / 2,
+            centerY: top + side / 2
+        };
+    }
+
+    _getRingWidth(design, area) {
+        const percent = design.ring ? design.ring.width : 10;
+        return Math.max(1, Math.round(area.side * percent / 100));
+    }
+
+    async _drawRing(ring, area, ringWidth, shape, cornerRadius) {
+        const selectionShape = shape === 'circle' ? 'ellipse' : (shape === 'rounded' ? 'rounded' : 'rectangle');
+        const outerRadius = Math.round(area.side * cornerRadius);
+        const inner = {
+            left: area.left + ringWidth,
+            top: area.top + ringWidth,
+            right: area.right - ringWidth,
+            bottom: area.bottom - ringWidth
+        };
+
+        await this.ps.createLayer(this.layerNames.ring);
+        await this.ps.selectShape(area, selectionShape, outerRadius);
+        await this.ps.subtractShapeFromSelection(inner, selectionShape, Math.max(outerRadius - ringWidth, 0));
+
+        if (ring.style === 'gradient') {
+            const colors = ring.colors.map(color => this._hexToRgb(color));
+
+            if (ring.gradientType === 'angle') {
+                // Sweeps around the ring, starting at the top
+                await this.ps.fillSelectionGradient(colors,
+                    { x: area.centerX, y: area.centerY },
+                    { x: area.centerX, y: area.top },
+                    'angle'
+                );
+            } else {
+                await this.ps.fillSelectionGradient(colors,
+                    { x: area.centerX, y: area.top },
+                    { x: area.centerX, y: area.bottom },
+                    'linear'
+                );
+            }
+        } else {
+            await this.ps.fillSelection(this._hexToRgb(ring.color));
+        }
+
+        await this.ps.deselect();
+    }
+
+    // Text sits on the ring band. On circles it follows the arc: one layer per
+    // character, rotated to the tangent, then merged into a single layer.
+    async _drawText(text, area, ringWidth, shape) {
+        const color = this._hexToRgb(text.color || '#FFFFFF');
+        const fontSize = Math.max(8, Math.round(ringWidth * 0.7));
+        const content = text.content.trim();
+
+        if (shape !== 'circle') {
+            const y = text.position === 'top'
+                ? area.top + ringWidth / 2
+                : area.bottom - ringWidth / 2;
+
+            await this.ps.createTextLayer(content, area.centerX, y, {
+                name: this.layerNames.text,
+                fontSize,
+                color
+            });
+            return;
+        }
+
+        const radius = area.side / 2 - ringWidth / 2;
+        const step = (fontSize * 0.65) / radius;
+        const span = step * (content.length - 1);
+        const isTop = text.position === 'top';
+        // Screen angles: -90° is the top of the circle, 90° the bottom.
+        // Bottom text runs right-to-left in angle so it still reads left-to-right.
+        const startAngle = isTop ? -Math.PI / 2 - span / 2 : Math.PI / 2 + span / 2;
+        const direction = isTop ? 1 : -1;
+
+        const names = [];
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (char === ' ') continue;
+
+            const angle = startAngle + direction * step * i;
+            const name = `${this.layerNames.text} ${i + 1}`;
+
+            await this.ps.createTextLayer(char, area.centerX + radius * Math.cos(angle), area.centerY + radius * Math.sin(angle), {
+                name,
+                fontSize,
+                color
+            });
+
+            const degrees = angle * 180 / Math.PI + (isTop ? 90 : -90);
+            if (Math.abs(degrees) > 0.1) {
+                await this.ps.rotateLayer(name, degrees);
+            }
+
+            names.push(name);
+        }
+
+        if (names.length > 0) {
+            await this.ps.mergeLayers(names, this.layerNames.text);
+        }
+    }
+
+    async _placeBadge(badge, area, name) {
+        const size = Math.round(area.side * (badge.size || 25) / 100);
+        const margin = Math.round(area.side * 0.02);
+        const isLeft = badge.position === 'topLeft' || badge.position === 'bottomLeft';
+        const isTop = badge.position === 'topLeft' || badge.position === 'topRight';
+
+        const left = isLeft ? area.left + margin : area.right - margin - size;
+        const top = isTop ? area.top + margin : area.bottom - margin - size;
+
+        const file = await require('uxp').storage.localFileSystem.getEntryForPersistentToken(badge.token);
+        await this.ps.placeImage(file, { left, top, right: left + size, bottom: top + size }, name);
+    }
+
+    _hexToRgb(hex) {
+        let value = hex.replace('#', '');
+        if (value.length === 3) {
+            value = value.split('').map(c => c + c).join('');
+        }
+
+        return {
+            r: parseInt(value.substring(0, 2), 16),
+            g: parseInt(value.substring(2, 4), 16),
+            b: parseInt(value.substring(4, 6), 16)
+        };
+    }
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    validateFrameDesign(design) {
+        const validator = this.ps.validator;
+
+        if (!design || typeof design !== 'object') {
+            return { valid: false, error: 'Frame design is required' };
+        }
+
+        const hasText = design.text && design.text.content && design.text.content.trim();
+        const hasBadges = Array.isArray(design.badges) && design.badges.length > 0;
+        if (!design.ring && !hasText && !hasBadges) {
+            return { valid: false, error: 'Add a ring, text or at least one badge' };
+        }
+
+        if (design.ring) {
+            const ring = design.ring;
+
+            const styleValidation = validator.validateEnum(ring.style, this.ringStyles);
+            if (!styleValidation.valid) {
+                return { valid: false, error: `Ring style: ${styleValidation.error}` };
+            }
+
+            const widthValidation = validator.validateNumber(ring.width, 1, 25);
+            if (!widthValidation.valid) {
+                return { valid: false, error: `Ring width: ${widthValidation.error}` };
+            }
+
+            if (ring.style === 'solid') {
+                const colorValidation = validator.validateHexColor(ring.color);
+                if (!colorValidation.valid) {
+                    return { valid: false, error: 'Ring color must be a hex color like #7B3FE4' };
+                }
+            } else {
+                if (!Array.isArray(ring.colors) || ring.colors.length < 2 || ring.colors.length > 8) {
+                    return { valid: false, error: 'Gradient rings need 2 to 8 colors' };
+                }
+                const invalid = ring.colors.find(color => !validator.validateHexColor(color).valid);
+                if (invalid !== undefined) {
+                    return { valid: false, error: `Invalid gradient color: ${invalid}` };
+                }
+
+                const typeValidation = validator.validateEnum(ring.gradientType, this.gradientTypes, false);
+                if (!typeValidation.valid) {
+                    return { valid: false, error: `Gradient type: ${typeValidation.error}` };
+                }
+            }
+        }
+
+        if (hasText) {
+            const contentValidation = validator.validateString(design.text.content, 1, 40);
+            if (!contentValidation.valid) {
+                return { valid: false, error: `Text: ${contentValidation.error}` };
+            }
+
+            if (design.text.color && !validator.validateHexColor(design.text.color).valid) {
+                return { valid: false, error: 'Text color must be a hex color like #FFFFFF' };
+            }
+
+            const positionValidation = validator.validateEnum(design.text.position, this.textPositions, false);
+            if (!positionValidation.valid) {
+                return { valid: false, error: `Text position: ${positionValidation.error}` };
+            }
+        }
+
+        if (hasBadges) {
+            if (design.badges.length > this.maxBadges) {
+                return { valid: false, error: `A frame can have at most ${this.maxBadges} badges` };
+            }
+
+            for (const badge of design.badges) {
+                if (!badge || typeof badge.token !== 'string' || !badge.token) {
+                    return { valid: false, error: 'Badge image is missing' };
+                }
+
+                const positionValidation = validator.validateEnum(badge.position, this.badgePositions);
+                if (!positionValidation.valid) {
+                    return { valid: false, error: `Badge position: ${positionValidation.error}` };
+                }
+
+                const sizeValidation = validator.validateNumber(badge.size, 5, 50, false);
+                if (!sizeValidation.valid) {
+                    return { valid: false, error: `Badge size: ${sizeValidation.error}` };
+                }
+            }
+        }
+
+        return { valid: true };
+    }
+
+    // ==========================================
+    // PRESETS
+    // ==========================================
+
+    get customPresets() {
+        return this.userPresets.items;
+    }
+
+    async loadPresets() {
+        await this.userPresets.load();
+        return this.getPresetsList();
+    }
+
+    getPreset(presetId) {
+        return this.userPresets.get(presetId);
+    }
+
+    getPresetsList() {
+        return this.userPresets.getList();
+    }
+
+    validateFramePreset(entry, isUpdate = false) {
+        return this.userPresets.validate(entry, isUpdate);
+    }
+
+    async savePreset(entry, isUpdate = false) {
+        return await this.userPresets.save(entry, isUpdate);
+    }
+
+    async deletePreset(id) {
+        return await this.userPresets.remove(id);
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.FrameService = FrameService;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameService;
+}
@@ -4,90 +4,360 @@
 // ==========================================
 
 class PassportService {
-    constructor(photoshopService, logger, errorHandler, backgroundService = null) {
+    constructor(photoshopService, logger, errorHandler, backgroundService = null, exportService = null, presetStore = null) {
         this.ps = photoshopService;
         this.logger = logger || console;
         this.errorHandler = errorHandler;
         this.backgroundService = backgroundService;
+        this.exportService = exportService;
 
-        // Passport specifications (in mm converted to pixels at 300 DPI)
+        this.categories = {
+            passport: 'Passport',
+            visa: 'Visa',
+            id: 'ID Card & Licence',
+            digital: 'Digital Upload',
+            custom: 'My Presets'
+        };
+
+        // Units accepted for custom sizes
+        this.units = {
+            mm: { name: 'mm', mm: 1 },
+            in: { name: 'in', mm: 25.4 }
+        };
+
+        // passportBackground values and how rule messages name them
+        this.backgrounds = {
+            white: 'white',
+            offwhite: 'off-white',
+            cream: 'cream',
+            lightgray: 'light gray',
+            lightblue: 'light blue',
+            gray: 'gray'
+        };
+
+        // How far (RGB distance) a custom color may be from an accepted one
+        this.backgroundTolerance = 20;
+
+        // Photo specifications (in mm converted to pixels at 300 DPI)
         // 300 DPI = 11.811 pixels per mm
+        // Digital presets have no mm size - widthPx/heightPx are the exact upload size.
+        // headHeightMM is chin to crown. eyeLineMM is measured up from the bottom
+        // edge; where a country gives no figure it follows the ICAO 50-70% guideline.
+        // headRatio/eyeRatio give the same rules as fractions of the photo height.
+        // background.allowed lists the accepted passportBackground values.
+        // file lists accepted formats and size limits in KB for uploads, plus the
+        // upload pixel size (widthPx/heightPx) where it differs from the print size.
         this.presets = {
             us: {
                 name: 'US Passport',
+                category: 'passport',
                 widthMM: 51,
                 heightMM: 51,
                 widthPx: 602,   // 51mm * 11.811
                 heightPx: 602,
                 country: 'United States',
-                icon: '🇺🇸'
+                icon: '🇺🇸',
+                headHeightMM: { min: 25, max: 35 },
+                eyeLineMM: { min: 28, max: 35 },
+                background: { allowed: ['white', 'offwhite'] },
+                file: { formats: ['jpg'], minKB: null, maxKB: 240, widthPx: 600, heightPx: 600 }
             },
             eu: {
                 name: 'EU Passport',
+                category: 'passport',
                 widthMM: 35,
                 heightMM: 45,
                 widthPx: 413,   // 35mm * 11.811
                 heightPx: 531,  // 45mm * 11.811
                 country: 'European Union',
-                icon: '🇪🇺'
+                icon: '🇪🇺',
+                headHeightMM: { min: 32, max: 36 },
+                eyeLineMM: { min: 22.5, max: 31.5 },
+                background: { allowed: ['white', 'lightgray', 'lightblue'] },
+                file: { formats: ['jpg', 'png'], minKB: null, maxKB: null }
             },
             uk: {
                 name: 'UK Passport',
+                category: 'passport',
                 widthMM: 35,
                 heightMM: 45,
                 widthPx: 413,
                 heightPx: 531,
                 country: 'United Kingdom',
-                icon: '🇬🇧'
+                icon: '🇬🇧',
+                headHeightMM: { min: 29, max: 34 },
+                eyeLineMM: { min: 22.5, max: 31.5 },
+                background: { allowed: ['lightgray', 'cream'] },
+                file: { formats: ['jpg', 'png'], minKB: null, maxKB: null }
             },
             india: {
                 name: 'India Passport',
+                category: 'passport',
                 widthMM: 35,
                 heightMM: 45,
                 widthPx: 413,
                 heightPx: 531,
                 country: 'India',
-                icon: '🇮🇳'
+                icon: '🇮🇳',
+                headHeightMM: { min: 32, max: 36 },
+                eyeLineMM: { min: 22.5, max: 31.5 },
+                background: { allowed: ['white'] },
+                file: { formats: ['jpg', 'png'], minKB: null, maxKB: null }
             },
             china: {
                 name: 'China Passport',
+                category: 'passport',
                 widthMM: 33,
                 heightMM: 48,
                 widthPx: 390,   // 33mm * 11.811
                 heightPx: 567,  // 48mm * 11.811
                 country: 'China',
-                icon: '🇨🇳'
+                icon: '🇨🇳',
+                headHeightMM: { min: 28, max: 33 },
+                eyeLineMM: { min: 24, max: 33.5 },
+                background: { allowed: ['white'] },
+                file: { formats: ['jpg', 'png'], minKB: null, maxKB: null }
             },
             canada: {
                 name: 'Canada Passport',
+                category: 'passport',
                 widthMM: 35,
                 heightMM: 45,
                 widthPx: 413,
                 heightPx: 531,
                 country: 'Canada',
-                icon: '🇨🇦'
+                icon: '🇨🇦',
+                headHeightMM: { min: 31, max: 36 },
+                eyeLineMM: { min: 22.5, max: 31.5 },
+                background: { allowed: ['white', 'offwhite', 'lightgray'] },
+                file: { formats: ['jpg', 'png'], minKB: null, maxKB: null }
             },
             australia: {
                 name: 'Australia Passport',
+                category: 'passport',
                 widthMM: 35,
                 heightMM: 45,
                 widthPx: 413,
                 heightPx: 531,
                 country: 'Australia',
-                icon: '🇦🇺'
+                icon: '🇦🇺',
+                headHeightMM: { min: 32, max: 36 },
+                eyeLineMM: { min: 22.5, max: 31.5 },
+                background: { allowed: ['white', 'lightgray'] },
+                file: { formats: ['jpg', 'png'], minKB: null, maxKB: null }
+            },
+
+            // Visas
+            schengen_visa: {
+                name: 'Schengen Visa',
+                category: 'visa',
+                widthMM: 35,
+                heightMM: 45,
+                widthPx: 413,
+                heightPx: 531,
+                country: 'Schengen Area',
+                icon: '🇪🇺',
+                headHeightMM: { min: 32, max: 36 },
+                eyeLineMM: { min: 22.5, max: 31.5 },
+                background: { allowed: ['white', 'lightgray', 'lightblue'] },
+                file: { formats: ['jpg', 'png'], minKB: null, maxKB: null }
+            },
+            us_visa: {
+                name: 'US Visa',
+                category: 'visa',
+                widthMM: 51,
+                heightMM: 51,
+                widthPx: 602,
+                heightPx: 602,
+                country: 'United States',
+                icon: '🇺🇸',
+                headHeightMM: { min: 25, max: 35 },
+                eyeLineMM: { min: 28, max: 35 },
+                background: { allowed: ['white', 'offwhite'] },
+                file: { formats: ['jpg'], minKB: null, maxKB: 240, widthPx: 600, heightPx: 600 }
+            },
+            india_oci: {
+                name: 'India OCI',
+                category: 'visa',
+                widthMM: 51,
+                heightMM: 51,
+                widthPx: 602,
+                heightPx: 602,
+                country: 'India',
+                icon: '🇮🇳',
+                headHeightMM: { min: 25, max: 35 },
+                eyeLineMM: { min: 28, max: 35 },
+                background: { allowed: ['white', 'offwhite'] },
+                file: { formats: ['jpg'], minKB: 10, maxKB: 1000 }
+            },
+            japan_visa: {
+                name: 'Japan Visa',
+                category: 'visa',
+                widthMM: 35,
+                heightMM: 45,
+                widthPx: 413,
+                heightPx: 531,
+                country: 'Japan',
+                icon: '🇯🇵',
+                headHeightMM: { min: 32, max: 36 },
+                eyeLineMM: { min: 22.5, max: 31.5 },
+                background: { allowed: ['white', 'lightgray', 'lightblue'] },
+                file: { formats: ['jpg', 'png'], minKB: null, maxKB: null }
+            },
+
+            // ID cards and driving licences
+            germany_id: {
+                name: 'Germany ID Card',
+                category: 'id',
+                widthMM: 35,
+                heightMM: 45,
+                widthPx: 413,
+                heightPx: 531,
+                country: 'Germany',
+                icon: '🇩🇪',
+                headHeightMM: { min: 32, max: 36 },
+                eyeLineMM: { min: 22.5, max: 31.5 },
+                background: { allowed: ['lightgray', 'white'] },
+                file: { formats: ['jpg', 'png'], minKB: null, maxKB: null }
+            },
+            uk_driving_licence: {
+                name: 'UK Driving Licence',
+                category: 'id',
+                widthMM: 35,
+                heightMM: 45,
+                widthPx: 413,
+                heightPx: 531,
+                country: 'United Kingdom',
+                icon: '🇬🇧',
+                headHeightMM: { min: 29, max: 34 },
+                eyeLineMM: { min: 22.5, max: 31.5 },
+                background: { allowed: ['lightgray', 'cream'] },
+                file: { formats: ['jpg', 'png'], minKB: null, maxKB: null }
+            },
+            eu_driving_licence: {
+                name: 'EU Driving Licence',
+                category: 'id',
+                widthMM: 35,
+                heightMM: 45,
+                widthPx: 413,
+                heightPx: 531,
+                country: 'European Union',
+                icon: '🇪🇺',
+                headHeightMM: { min: 32, max: 36 },
+                eyeLineMM: { min: 22.5, max: 31.5 },
+                background: { allowed: ['white', 'lightgray', 'lightblue'] },
+                file: { formats: ['jpg', 'png'], minKB: null, maxKB: null }
+            },
+
+            // Digital uploads - exact pixels, no print size
+            us_dv_lottery: {
+                name: 'US DV Lottery',
+                category: 'digital',
+                widthMM: null,
+                heightMM: null,
+                widthPx: 600,
+                heightPx: 600,
+                country: 'United States',
+                icon: '🇺🇸',
+                headRatio: { min: 0.5, max: 0.69 },
+                eyeRatio: { min: 0.56, max: 0.69 },
+                background: { allowed: ['white', 'offwhite'] },
+                file: { formats: ['jpg'], minKB: null, maxKB: 240 }
+            },
+            india_evisa: {
+                name: 'India e-Visa',
+                category: 'digital',
+                widthMM: null,
+                heightMM: null,
+                widthPx: 600,
+                heightPx: 600,
+                country: 'India',
+                icon: '🇮🇳',
+                headRatio: { min: 0.5, max: 0.69 },
+                eyeRatio: { min: 0.5, max: 0.7 },
+                background: { allowed: ['white'] },
+                file: { formats: ['jpg'], minKB: 10, maxKB: 1000 }
+            },
+            uk_digital: {
+                name: 'UK Online Application',
+                category: 'digital',
+                widthMM: null,
+                heightMM: null,
+                widthPx: 600,
+                heightPx: 750,
+                country: 'United Kingdom',
+                icon: '🇬🇧',
+                headRatio: { min: 0.64, max: 0.76 },
+                eyeRatio: { min: 0.5, max: 0.7 },
+                background: { allowed: ['lightgray', 'cream'] },
+                file: { formats: ['jpg'], minKB: 50, maxKB: 10000 }
+            }
+        };
+
+        // Fill in the ratio form of the mm rules so every preset can be checked either way
+        Object.entries(this.presets).forEach(([id, preset]) => {
+            preset.id = id;
+            if (!preset.headRatio && preset.headHeightMM) {
+                preset.headRatio = this._toRatioRange(preset.headHeightMM, preset.heightMM);
             }
+            if (!preset.eyeRatio && preset.eyeLineMM) {
+                preset.eyeRatio = this._toRatioRange(preset.eyeLineMM, preset.heightMM);
+            }
+        });
+
+        // Photo paper sizes for print sheets
+        this.printSheets = {
+            '4x6in': { name: '4×6 in', widthMM: 101.6, heightMM: 152.4 },
+            '5x7in': { name: '5×7 in', widthMM: 127, heightMM: 177.8 },
+            '10x15cm': { name: '10×15 cm', widthMM: 100, heightMM: 150 },
+            a4: { name: 'A4', widthMM: 210, heightMM: 297 }
         };
+
+        // Head geometry used when no guides are placed (average adult proportions)
+        this.headHeightToWidth = 1.35;
+        this.eyeToHeadRatio = 0.48;
+        this.shoulderJump = 1.6;
+
+        // Guides only count as crown/chin markers inside the subject outline. Shares
+        // of the subject height: slack above its top for hair, how far below its top
+        // the crown may be, and the smallest crown-to-chin distance.
+        this.guideTolerance = 0.05;
+        this.maxCrownOffset = 0.25;
+        this.minHeadShare = 0.1;
+
+        // Smart crop: space above the crown (share of crop height) when the
+        // preset has no eye line rule, and the least it may shrink to
+        this.defaultTopMargin = 0.1;
+        this.minTopMargin = 0.03;
+
+        // Largest difference (mm) between the printed and the preset size
+        this.printSizeTolerance = 0.5;
+
+        // User presets from passport-presets.json. Entries are kept as the user
+        // typed them (unit, DPI, head range in %); items hold the built presets.
+        this.userPresets = new PresetCollection(presetStore, {
+            label: 'passport size',
+            validator: this.ps.validator,
+            builtIns: this.presets,
+            fields: { required: ['width', 'height', 'unit'], optional: ['dpi', 'headMin', 'headMax'] },
+            validate: entry => this.validateCustomSize(entry),
+            build: entry => this.buildCustomPreset(entry)
+        });
     }
 
-    async createPassportPhoto(presetId, resolution = 300, cropMode = 'smart', backgroundColor = null) {
+    // options.cropBounds - explicit crop rectangle (e.g. from the crop adjust step)
+    // options.digital    - output the exact upload pixel size instead of mm at a DPI
+    // options.ignoreBackgroundRule - allow a background the preset doesn't accept
+    // options.removal    - { method, fuzziness, tolerance, edge } for the background - see BackgroundService
+    // presetId can also be a preset object, e.g. an unsaved custom size
+    async createPassportPhoto(presetId, resolution = 300, cropMode = 'smart', backgroundColor = null, options = {}) {
+        const presetKey = typeof presetId === 'string' ? presetId : presetId.id;
+
         try {
-            this.logger.info('Creating passport photo', { presetId, resolution, cropMode, backgroundColor });
+            this.logger.info('Creating passport photo', { presetId: presetKey, resolution, cropMode, backgroundColor });
 
             // Validate preset
-            const preset = this.presets[presetId.toLowerCase()];
-            if (!preset) {
-                throw new Error(`Unknown passport preset: ${presetId}`);
-            }
+            const preset = this._resolvePreset(presetId);
 
             // Get current document
             const doc = await this.ps.getActiveDocument();
@@ -99,37 +369,76 @@ class PassportService {
             // Create snapshot
             await this.ps.createHistorySnapshot('Before Passport Photo Creation');
 
+            // Refuse a background the country won't accept unless explicitly overridden
+            if (backgroundColor && !options.ignoreBackgroundRule) {
+                const backgroundCheck = this.checkBackground(preset, backgroundColor);
+                if (!backgroundCheck.compliant) {
+                    throw new Error(backgroundCheck.message);
+                }
+            }
+
             // Calculate dimensions based on resolution
-            const dpiRatio = resolution / 300;
-            const targetWidth = Math.round(preset.widthPx * dpiRatio);
-            const targetHeight = Math.round(preset.heightPx * dpiRatio);
+            const { targetWidth, targetHeight } = this._getTargetDimensions(preset, resolution, options.digital);
 
-            this.logger.info('Target dimensions', { targetWidth, targetHeight, resolution });
+            this.logger.info('Target dimensions', { targetWidth, targetHeight, resolution, digital: !!options.digital });
+
+            // Plan the crop on the untouched image - the head is easiest to find before
+            // the background is replaced, and guides are in original coordinates
+            const crop = await this._planCrop(preset, originalWidth, originalHeight, targetWidth, targetHeight,
+                cropMode, options.cropBounds);
 
             // Step 1: Remove and replace background if requested
+            let backgroundError = null;
             if (backgroundColor && this.backgroundService) {
-                this.logger.info('Removing and replacing background', { backgroundColor });
+                const removal = options.removal || { method: 'selectSubject' };
+                this.logger.info('Removing and replacing background', { backgroundColor, method: removal.method });
                 try {
-                    await this.backgroundService.removeAndReplaceBackground(backgroundColor);
+                    await this.backgroundService.removeAndReplaceBackground(backgroundColor, removal.method, removal);
                     this.logger.info('Background processed successfully');
                 } catch (bgError) {
                     this.logger.warn('Background processing failed, continuing without it', bgError);
                     // Continue with passport photo creation even if background fails
+                    backgroundError = bgError.message;
                 }
             }
 
             // Step 2: Crop to correct aspect ratio
-            await this._cropToAspectRatio(originalWidth, originalHeight, targetWidth, targetHeight, cropMode);
+            await this._cropToAspectRatio(originalWidth, originalHeight, targetWidth, targetHeight, cropMode, crop.bounds);
 
-            // Step 3: Resize to exact dimensions
-            await this.ps.resizeImage(targetWidth, targetHeight, 'bicubic');
+            // Step 3: Resize to exact dimensions and store the PPI so it prints at the preset size
+            await this.ps.resizeImage(targetWidth, targetHeight, 'bicubic', resolution);
 
-            // Step 4: Flatten image
+            // Step 4: Flatten image - unless the background was replaced, whose
+            // mask and fill layer stay editable (exports and print sheets merge them)
+            const layersKept = !!backgroundColor && !backgroundError;
+            if (!layersKept) {
+                try {
+                    await this.ps.flattenImage();
+                    this.logger.info('Image flattened');
+                } catch (error) {
+                    this.logger.warn('Could not flatten image', error);
+                }
+            }
+
+            // Step 5: Measure the head against the preset rules
+            let compliance = null;
             try {
-                await this.ps.flattenImage();
-                this.logger.info('Image flattened');
+                compliance = await this.checkCompliance(preset);
             } catch (error) {
-                this.logger.warn('Could not flatten image', error);
+                this.logger.warn('Compliance check failed', error);
+            }
+
+            // Step 6: Confirm the file prints at the preset's physical size
+            const printSize = await this._verifyPrintSize(preset, options.digital);
+
+            // Step 7: Look for shadows and gradients left on the background
+            let backgroundReport = null;
+            if (this.backgroundService) {
+                try {
+                    backgroundReport = await this.backgroundService.analyzeBackground(backgroundError ? null : backgroundColor);
+                } catch (error) {
+                    this.logger.warn('Background analysis failed', error);
+                }
             }
 
             this.logger.info(`${preset.name} photo created successfully`, {
@@ -146,20 +455,30 @@ class PassportService {
                     width: targetWidth,
                     height: targetHeight,
                     widthMM: preset.widthMM,
-                    heightMM: preset.heightMM
+                    heightMM: preset.heightMM,
+                    label: options.digital || !preset.widthMM
+                        ? `${targetWidth}x${targetHeight}px`
+                        : this.formatDimensions(preset)
                 },
                 resolution,
-                backgroundColor: backgroundColor || 'original',
-                originalDimensions: { width: originalWidth, height: originalHeight }
+                backgroundColor: backgroundColor && !backgroundError ? backgroundColor : 'original',
+                backgroundError,
+                layersKept,
+                originalDimensions: { width: originalWidth, height: originalHeight },
+                cropMethod: crop.method,
+                cropWarnings: crop.warnings,
+                printSize,
+                compliance,
+                backgroundReport
             };
 
         } catch (error) {
-            this.logger.error('Failed to create passport photo', error, { presetId, resolution });
+            this.logger.error('Failed to create passport photo', error, { presetId: presetKey, resolution });
 
             if (this.errorHandler) {
                 await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, {
                     operation: 'createPassportPhoto',
-                    presetId,
+                    presetId: presetKey,
                     resolution
                 });
             }
@@ -168,7 +487,342 @@ class PassportService {
         }
     }
 
-    async _cropToAspectRatio(currentWidth, currentHeight, targetWidth, targetHeight, cropMode) {
+    // ==========================================
+    // COMPLIANCE
+    // ==========================================
+
+    // Checks head height and eye line of the active (finished) passport photo.
+    // Returns { passed, method, rules: [{ id, label, passed, measured, min, max, unit }] }
+    async checkCompliance(presetId) {
+        const preset = this._resolvePreset(presetId);
+
+        const doc = await this.ps.getActiveDocument();
+
+        const head = await this.measureHead();
+        if (!head) {
+            this.logger.warn('Could not locate the head for the compliance check');
+            return {
+                passed: false,
+                method: null,
+                rules: [],
+                error: 'Could not locate the head. Add guides at crown, eyes and chin, then check again.'
+            };
+        }
+
+        const rules = [];
+        const headPx = head.chinY - head.crownY;
+        const eyePx = doc.height - head.eyeY;
+
+        // Print presets are checked in mm, digital ones as a share of the photo height
+        if (preset.heightMM) {
+            const pxPerMM = doc.height / preset.heightMM;
+
+            if (preset.headHeightMM) {
+                rules.push(this._checkRange('headHeight', 'Head height (chin to crown)',
+                    headPx / pxPerMM, preset.headHeightMM, 'mm'));
+            }
+            if (preset.eyeLineMM) {
+                rules.push(this._checkRange('eyeLine', 'Eye line (from bottom)',
+                    eyePx / pxPerMM, preset.eyeLineMM, 'mm'));
+            }
+        } else {
+            const toPercent = range => ({ min: Math.round(range.min * 100), max: Math.round(range.max * 100) });
+
+            if (preset.headRatio) {
+                rules.push(this._checkRange('headHeight', 'Head height (share of photo)',
+                    headPx / doc.height * 100, toPercent(preset.headRatio), '%'));
+            }
+            if (preset.eyeRatio) {
+                rules.push(this._checkRange('eyeLine', 'Eye line (share of height from bottom)',
+                    eyePx / doc.height * 100, toPercent(preset.eyeRatio), '%'));
+            }
+        }
+
+        const report = {
+            passed: rules.every(rule => rule.passed),
+            method: head.method,
+            guidesIgnored: !!head.guidesIgnored,
+            rules
+        };
+
+        this.logger.info('Compliance checked', { presetId: preset.id, passed: report.passed, method: head.method });
+        return report;
+    }
+
+    // Locates crown, eye line and chin in pixels. User-placed horizontal guides
+    // win (crown, eyes, chin from top to bottom - or just crown and chin) when they
+    // fit the subject; otherwise the head is estimated from the Select Subject outline.
+    async measureHead() {
+        const guides = this.ps.getHorizontalGuides();
+        const profile = await this.ps.getSubjectProfile();
+
+        const markers = this._headFromGuides(guides, profile);
+        if (markers) {
+            return markers;
+        }
+
+        if (!profile) {
+            return null;
+        }
+
+        const headWidth = this._getHeadWidth(profile.rows);
+        if (!headWidth) {
+            return null;
+        }
+
+        const crownY = profile.bounds.top;
+        const headHeight = headWidth * this.headHeightToWidth;
+        const chinY = crownY + headHeight;
+
+        // Horizontal head center from the rows between crown and chin
+        const headRows = profile.rows.filter(row => row.width > 0 && row.y <= chinY && row.width <= headWidth);
+        const centerX = headRows.length
+            ? headRows.reduce((sum, row) => sum + (row.left + row.right) / 2, 0) / headRows.length
+            : (profile.bounds.left + profile.bounds.right) / 2;
+
+        return {
+            method: 'estimated',
+            crownY,
+            chinY,
+            eyeY: crownY + headHeight * this.eyeToHeadRatio,
+            centerX,
+            // Guides were there but didn't match the subject (e.g. left over from other work)
+            guidesIgnored: guides.length >= 2
+        };
+    }
+
+    // Crown/eyes/chin from 2 or 3 horizontal guides, or null when they can't be
+    // head markers: more guides, or guides outside the subject. Without a subject
+    // outline (older Photoshop) the guides can't be checked and are trusted.
+    _headFromGuides(guides, profile) {
+        if (guides.length < 2 || guides.length > 3) {
+            return null;
+        }
+
+        const crownY = guides[0];
+        const chinY = guides[guides.length - 1];
+        const eyeY = guides.length === 3
+            ? guides[1]
+            : crownY + (chinY - crownY) * this.eyeToHeadRatio;
+
+        if (profile) {
+            const { top, bottom } = profile.bounds;
+            const slack = (bottom - top) * this.guideTolerance;
+
+            // The crown sits near the top of the subject, the chin inside it
+            const fits = crownY >= top - slack
+                && crownY <= top + (bottom - top) * this.maxCrownOffset
+                && chinY <= bottom
+                && chinY - crownY >= (bottom - top) * this.minHeadShare;
+
+            if (!fits) {
+                this.logger.warn('Horizontal guides do not match the subject - ignoring them', { guides, bounds: profile.bounds });
+                return null;
+            }
+        }
+
+        return { method: 'markers', crownY, chinY, eyeY };
+    }
+
+    // Widest row above the shoulders. Shoulders show up as a sudden jump in width.
+    _getHeadWidth(rows) {
+        let headWidth = 0;
+
+        for (const row of rows) {
+            if (row.width <= 0) continue;
+            if (headWidth > 0 && row.width > headWidth * this.shoulderJump) break;
+            headWidth = Math.max(headWidth, row.width);
+        }
+
+        return headWidth;
+    }
+
+    _checkRange(id, label, measured, range, unit) {
+        const value = Math.round(measured * 10) / 10;
+
+        return {
+            id,
+            label,
+            passed: value >= range.min && value <= range.max,
+            measured: value,
+            min: range.min,
+            max: range.max,
+            unit
+        };
+    }
+
+    _toRatioRange(rangeMM, heightMM) {
+        return {
+            min: Math.round(rangeMM.min / heightMM * 1000) / 1000,
+            max: Math.round(rangeMM.max / heightMM * 1000) / 1000
+        };
+    }
+
+    // Reads back the document's pixel size and PPI and compares the physical size
+    // with the preset. Only print sizes are checked - digital output has no mm size.
+    // Returns { widthMM, heightMM, resolution, checked, matches }
+    async _verifyPrintSize(preset, digital = false) {
+        const printSize = await this.ps.getPrintSize();
+        const checked = !!preset.widthMM && !(digital && preset.file && preset.file.widthPx);
+
+        const matches = !checked || (
+            Math.abs(printSize.widthMM - preset.widthMM) <= this.printSizeTolerance &&
+            Math.abs(printSize.heightMM - preset.heightMM) <= this.printSizeTolerance
+        );
+
+        if (!matches) {
+            this.logger.warn('Print size does not match the preset', {
+                expected: `${preset.widthMM}x${preset.heightMM}mm`,
+                actual: `${printSize.widthMM}x${printSize.heightMM}mm`,
+                resolution: printSize.resolution
+            });
+        }
+
+        return { ...printSize, checked, matches };
+    }
+
+    _getTargetDimensions(preset, resolution, digital = false) {
+        // Digital presets are an exact pixel size whatever the resolution
+        if (!preset.widthMM) {
+            return { targetWidth: preset.widthPx, targetHeight: preset.heightPx };
+        }
+
+        if (digital && preset.file && preset.file.widthPx) {
+            return { targetWidth: preset.file.widthPx, targetHeight: preset.file.heightPx };
+        }
+
+        const dpiRatio = resolution / 300;
+        return {
+            targetWidth: Math.round(preset.widthPx * dpiRatio),
+            targetHeight: Math.round(preset.heightPx * dpiRatio)
+        };
+    }
+
+    // Returns the crop the passport flow would apply, without applying it:
+    // { bounds, method, warnings }
+    async proposeCrop(presetId, resolution = 300, cropMode = 'smart', digital = false) {
+        const preset = this._resolvePreset(presetId);
+
+        const doc = await this.ps.getActiveDocument();
+        const { targetWidth, targetHeight } = this._getTargetDimensions(preset, resolution, digital);
+
+        return this._planCrop(preset, doc.width, doc.height, targetWidth, targetHeight, cropMode);
+    }
+
+    // 'smart' frames the head to the preset rules and falls back to 'center'
+    // when no head is found. cropBounds (from the crop adjust step) wins.
+    async _planCrop(preset, docWidth, docHeight, targetWidth, targetHeight, cropMode, cropBounds = null) {
+        if (cropBounds) {
+            return { bounds: cropBounds, method: 'manual', warnings: [] };
+        }
+
+        if (cropMode === 'smart' && preset.headRatio) {
+            let head = null;
+            try {
+                head = await this.measureHead();
+            } catch (error) {
+                this.logger.warn('Head detection failed', error);
+            }
+
+            if (head) {
+                const crop = this._computeHeadCrop(preset, head, docWidth, docHeight, targetWidth / targetHeight);
+                if (head.guidesIgnored) {
+                    crop.warnings.push('The horizontal guides don\'t match the subject - the crop was planned from the subject outline instead.');
+                }
+                this.logger.info('Smart crop planned', { method: head.method, bounds: crop.bounds, warnings: crop.warnings });
+                return { bounds: crop.bounds, method: 'smart', warnings: crop.warnings };
+            }
+
+            this.logger.warn('No head found, falling back to center crop');
+            return {
+                bounds: this._computeCropBounds(docWidth, docHeight, targetWidth, targetHeight, 'center'),
+                method: 'center',
+                warnings: ['Could not find the head - used a center crop. Check the framing or place crown and chin guides.']
+            };
+        }
+
+        const mode = cropMode === 'smart' ? 'center' : cropMode;
+        return {
+            bounds: this._computeCropBounds(docWidth, docHeight, targetWidth, targetHeight, mode),
+            method: mode,
+            warnings: []
+        };
+    }
+
+    // Sizes the crop so crown-to-chin hits the middle of the preset's head range,
+    // then places it so the eye line (or the default top margin) matches.
+    _computeHeadCrop(preset, head, docWidth, docHeight, targetRatio) {
+        const warnings = [];
+        const headPx = head.chinY - head.crownY;
+        const headShare = (preset.headRatio.min + preset.headRatio.max) / 2;
+
+        let height = headPx / headShare;
+        let width = height * targetRatio;
+
+        // Not enough pixels for the spec'd framing - zoom in as little as possible
+        const fit = Math.min(1, docWidth / width, docHeight / height);
+        if (fit < 1) {
+            width *= fit;
+            height *= fit;
+            warnings.push(`The image is too tight around the head - it will fill ${Math.round(headShare / fit * 100)}% of the photo height instead of ${Math.round(headShare * 100)}%. Use a photo taken from further away.`);
+        }
+
+        let top;
+        if (preset.eyeRatio) {
+            const eyeShare = (preset.eyeRatio.min + preset.eyeRatio.max) / 2;
+            top = head.eyeY - (1 - eyeShare) * height;
+        } else {
+            top = head.crownY - this.defaultTopMargin * height;
+        }
+        top = Math.min(top, head.crownY - this.minTopMargin * height);
+
+        const centerX = head.centerX !== undefined ? head.centerX : docWidth / 2;
+        let left = centerX - width / 2;
+
+        // Report what falls off the canvas, then slide the crop back inside
+        if (top < 0) {
+            warnings.push('Not enough space above the head - the head will sit higher than the spec asks. Use a photo with more room above the hair.');
+        }
+        if (top + height > docHeight) {
+            warnings.push('Not enough image below the shoulders - the head will sit lower than the spec asks. Use a photo that shows the shoulders.');
+        }
+        if (left < 0 || left + width > docWidth) {
+            warnings.push('The head is close to the image edge - it will be off-center.');
+        }
+
+        top = Math.max(0, Math.min(top, docHeight - height));
+        left = Math.max(0, Math.min(left, docWidth - width));
+
+        return {
+            bounds: {
+                left: Math.round(left),
+                top: Math.round(top),
+                right: Math.round(left + width),
+                bottom: Math.round(top + height)
+            },
+            warnings
+        };
+    }
+
+    // cropMode 'smart' needs the head - plan it with _planCrop and pass the bounds
+    async _cropToAspectRatio(currentWidth, currentHeight, targetWidth, targetHeight, cropMode, cropBounds = null) {
+        const bounds = cropBounds || this._computeCropBounds(currentWidth, currentHeight, targetWidth, targetHeight, cropMode);
+
+        this.logger.debug('Cropping to aspect ratio', {
+            cropBounds: bounds,
+            adjusted: !!cropBounds,
+            targetRatio: targetWidth / targetHeight
+        });
+
+        await this.ps.cropImage(
+            bounds.left,
+            bounds.top,
+            bounds.right,
+            bounds.bottom
+        );
+    }
+
+    _computeCropBounds(currentWidth, currentHeight, targetWidth, targetHeight, cropMode) {
         const targetRatio = targetWidth / targetHeight;
         const currentRatio = currentWidth / currentHeight;
 
@@ -217,75 +871,170 @@ class PassportService {
             }
         }
 
-        this.logger.debug('Cropping to aspect ratio', {
-            cropBounds,
-            targetRatio,
-            currentRatio
-        });
-
-        await this.ps.cropImage(
-            cropBounds.left,
-            cropBounds.top,
-            cropBounds.right,
-            cropBounds.bottom
-        );
+        return cropBounds;
     }
 
-    async createCustomPassport(widthMM, heightMM, resolution = 300, cropMode = 'smart') {
+    // ==========================================
+    // DIGITAL SUBMISSION
+    // ==========================================
+
+    // Saves the finished photo (active document) for an upload portal: the preset's
+    // format, with quality searched until the file lands inside its KB limits.
+    async exportDigital(presetId, folder, fileName = null) {
         try {
-            this.logger.info('Creating custom passport photo', { widthMM, heightMM, resolution });
+            const preset = this._resolvePreset(presetId);
 
-            // Get current document
+            if (!this.exportService) {
+                throw new Error('Export is not available');
+            }
+
+            const spec = preset.file || { formats: ['jpg'] };
             const doc = await this.ps.getActiveDocument();
-            const originalWidth = doc.width;
-            const originalHeight = doc.height;
 
-            // Create snapshot
-            await this.ps.createHistorySnapshot('Before Custom Passport Creation');
+            this.logger.info('Exporting digital submission', { presetId: preset.id, spec, width: doc.width, height: doc.height });
+
+            const result = await this.exportService.exportActiveDocument(folder, {
+                format: spec.formats[0],
+                quality: 100,
+                maxFileSizeKB: spec.maxKB || null,
+                minFileSizeKB: spec.minKB || null,
+                fileName: fileName || `${preset.id}_${doc.width}x${doc.height}`,
+                hiddenLayers: this.backgroundService ? [this.backgroundService.heatmapLayerName] : []
+            });
+
+            return {
+                ...result,
+                width: doc.width,
+                height: doc.height,
+                minKB: spec.minKB || null,
+                maxKB: spec.maxKB || null
+            };
 
-            // Convert mm to pixels (300 DPI = 11.811 pixels per mm)
-            const pixelsPerMM = resolution / 25.4;
-            const targetWidth = Math.round(widthMM * pixelsPerMM);
-            const targetHeight = Math.round(heightMM * pixelsPerMM);
+        } catch (error) {
+            this.logger.error('Failed to export digital submission', error, { presetId: typeof presetId === 'string' ? presetId : presetId.id });
+            throw error;
+        }
+    }
 
-            this.logger.info('Calculated dimensions', { targetWidth, targetHeight });
+    // e.g. "600×600 px JPEG, ≤240 KB" - what digital mode will produce
+    describeDigitalSpec(presetId, resolution = 300) {
+        const preset = typeof presetId === 'string' ? this.getPreset(presetId) : presetId;
+        if (!preset) return '';
 
-            // Crop to aspect ratio
-            await this._cropToAspectRatio(originalWidth, originalHeight, targetWidth, targetHeight, cropMode);
+        const { targetWidth, targetHeight } = this._getTargetDimensions(preset, resolution, true);
+        const spec = preset.file || { formats: ['jpg'] };
+        const format = this.exportService && this.exportService.formats[spec.formats[0]]
+            ? this.exportService.formats[spec.formats[0]].name
+            : spec.formats[0].toUpperCase();
 
-            // Resize
-            await this.ps.resizeImage(targetWidth, targetHeight, 'bicubic');
+        let limit = '';
+        if (spec.minKB && spec.maxKB) limit = `, ${spec.minKB}–${spec.maxKB} KB`;
+        else if (spec.maxKB) limit = `, ≤${spec.maxKB} KB`;
+        else if (spec.minKB) limit = `, ≥${spec.minKB} KB`;
 
-            // Flatten
-            try {
-                await this.ps.flattenImage();
-            } catch (error) {
-                this.logger.warn('Could not flatten image', error);
+        return `${targetWidth}×${targetHeight} px ${format}${limit}`;
+    }
+
+    // ==========================================
+    // PRINT SHEETS
+    // ==========================================
+
+    // Tiles the finished passport photo (active document) onto a new sheet document.
+    // copies = 0 fills the sheet.
+    async createPrintSheet(presetId, sheetId, copies = 0, options = {}) {
+        try {
+            const { gutterMM = 2, marginMM = 5, cutMarks = true } = options;
+
+            this.logger.info('Creating print sheet', { presetId: typeof presetId === 'string' ? presetId : presetId.id, sheetId, copies, gutterMM, cutMarks });
+
+            const preset = this._resolvePreset(presetId);
+
+            if (!preset.widthMM) {
+                throw new Error(`${preset.name} is a digital upload size and cannot be printed`);
+            }
+
+            const sheet = this.printSheets[sheetId];
+            if (!sheet) {
+                throw new Error(`Unknown print sheet: ${sheetId}`);
+            }
+
+            const source = await this.ps.getActiveDocument();
+            const photoWidth = source.width;
+            const photoHeight = source.height;
+
+            // The sheet uses the photo's own pixel density so the copies print at true size
+            const pixelsPerMM = photoWidth / preset.widthMM;
+            const ppi = Math.round(pixelsPerMM * 25.4);
+
+            const layout = this.computeSheetLayout(sheet, preset.widthMM, preset.heightMM, gutterMM, marginMM);
+            if (layout.capacity === 0) {
+                throw new Error(`A ${preset.widthMM}x${preset.heightMM}mm photo does not fit on a ${sheet.name} sheet`);
+            }
+
+            const count = copies > 0 ? Math.min(copies, layout.capacity) : layout.capacity;
+
+            const sheetWidth = Math.round(layout.sheetWidthMM * pixelsPerMM);
+            const sheetHeight = Math.round(layout.sheetHeightMM * pixelsPerMM);
+            const gutter = Math.round(gutterMM * pixelsPerMM);
+            const gridWidth = layout.cols * photoWidth + (layout.cols - 1) * gutter;
+            const gridHeight = layout.rows * photoHeight + (layout.rows - 1) * gutter;
+            const gridLeft = Math.round((sheetWidth - gridWidth) / 2);
+            const gridTop = Math.round((sheetHeight - gridHeight) / 2);
+
+            const slots = [];
+            for (let i = 0; i < count; i++) {
+                const left = gridLeft + (i % layout.cols) * (photoWidth + gutter);
+                const top = gridTop + Math.floor(i / layout.cols) * (photoHeight + gutter);
+                slots.push({ left, top, right: left + photoWidth, bottom: top + photoHeight });
+            }
+
+            // Step 1: Copy the finished photo
+            // The evenness heatmap is for review only, never for print
+            if (this.backgroundService) {
+                await this.backgroundService.clearUnevenBackground();
             }
+            await this.ps.copyMerged();
 
-            this.logger.info('Custom passport photo created successfully');
+            // Step 2: New sheet at the photo's PPI
+            await this.ps.createNewDocument(sheetWidth, sheetHeight, ppi, `${preset.name} – ${sheet.name} sheet`);
+
+            // Step 3: One pasted copy per slot
+            for (const slot of slots) {
+                await this.ps.pasteCentered(slot);
+            }
+
+            // Step 4: Cut marks in the margin, lined up with every photo edge
+            let marksAdded = false;
+            if (cutMarks) {
+                marksAdded = await this._drawCutMarks(slots, sheetWidth, sheetHeight, pixelsPerMM);
+            }
+
+            await this.ps.flattenImage();
+
+            this.logger.info('Print sheet created', { sheet: sheet.name, count, capacity: layout.capacity });
 
             return {
                 success: true,
-                dimensions: {
-                    width: targetWidth,
-                    height: targetHeight,
-                    widthMM,
-                    heightMM
-                },
-                resolution,
-                originalDimensions: { width: originalWidth, height: originalHeight }
+                sheet: sheet.name,
+                copies: count,
+                requested: copies,
+                capacity: layout.capacity,
+                cols: layout.cols,
+                rows: layout.rows,
+                orientation: layout.orientation,
+                ppi,
+                width: sheetWidth,
+                height: sheetHeight,
+                cutMarks: marksAdded
             };
 
         } catch (error) {
-            this.logger.error('Failed to create custom passport photo', error);
+            this.logger.error('Failed to create print sheet', error, { sheetId });
 
             if (this.errorHandler) {
                 await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, {
-                    operation: 'createCustomPassport',
-                    widthMM,
-                    heightMM,
-                    resolution
+                    operation: 'createPrintSheet',
+                    sheetId
                 });
             }
 
@@ -293,18 +1042,349 @@ class PassportService {
         }
     }
 
-    getPresetsList() {
-        return Object.entries(this.presets).map(([key, value]) => ({
+    // Picks the sheet orientation that fits the most copies
+    computeSheetLayout(sheet, photoWidthMM, photoHeightMM, gutterMM = 2, marginMM = 5) {
+        const fit = (available, size) => Math.max(0, Math.floor((available - 2 * marginMM + gutterMM) / (size + gutterMM)));
+
+        const orientations = [
+            { orientation: 'portrait', sheetWidthMM: sheet.widthMM, sheetHeightMM: sheet.heightMM },
+            { orientation: 'landscape', sheetWidthMM: sheet.heightMM, sheetHeightMM: sheet.widthMM }
+        ].map(option => {
+            const cols = fit(option.sheetWidthMM, photoWidthMM);
+            const rows = fit(option.sheetHeightMM, photoHeightMM);
+            return { ...option, cols, rows, capacity: cols * rows };
+        });
+
+        return orientations[1].capacity > orientations[0].capacity ? orientations[1] : orientations[0];
+    }
+
+    async _drawCutMarks(slots, sheetWidth, sheetHeight, pixelsPerMM) {
+        const gridLeft = Math.min(...slots.map(slot => slot.left));
+        const gridTop = Math.min(...slots.map(slot => slot.top));
+        const gridRight = Math.max(...slots.map(slot => slot.right));
+        const gridBottom = Math.max(...slots.map(slot => slot.bottom));
+
+        const gap = Math.round(pixelsPerMM);
+        const thickness = Math.max(1, Math.round(0.2 * pixelsPerMM));
+        const space = Math.min(gridLeft, gridTop, sheetWidth - gridRight, sheetHeight - gridBottom);
+        const length = Math.min(Math.round(3 * pixelsPerMM), space - gap);
+
+        if (length < thickness * 2) {
+            this.logger.warn('Not enough margin for cut marks');
+            return false;
+        }
+
+        const xs = [...new Set(slots.flatMap(slot => [slot.left, slot.right]))];
+        const ys = [...new Set(slots.flatMap(slot => [slot.top, slot.bottom]))];
+        const half = thickness / 2;
+        const marks = [];
+
+        xs.forEach(x => {
+            marks.push({ left: x - half, right: x + half, top: gridTop - gap - length, bottom: gridTop - gap });
+            marks.push({ left: x - half, right: x + half, top: gridBottom + gap, bottom: gridBottom + gap + length });
+        });
+        ys.forEach(y => {
+            marks.push({ left: gridLeft - gap - length, right: gridLeft - gap, top: y - half, bottom: y + half });
+            marks.push({ left: gridRight + gap, right: gridRight + gap + length, top: y - half, bottom: y + half });
+        });
+
+        await this.ps.createLayer('Cut Marks');
+        await this.ps.deselect();
+        await this.ps.addShapesToSelection(marks);
+        await this.ps.fillSelection({ r: 0, g: 0, b: 0 });
+        await this.ps.deselect();
+
+        return true;
+    }
+
+    getPrintSheetsList() {
+        return Object.entries(this.printSheets).map(([key, value]) => ({
             id: key,
             name: value.name,
-            country: value.country,
-            dimensions: `${value.widthMM}x${value.heightMM}mm`,
-            icon: value.icon
+            dimensions: `${value.widthMM}x${value.heightMM}mm`
         }));
     }
 
+    // Unsaved custom size - builds a preset on the fly and runs the normal pipeline.
+    // size: { width, height, unit: 'mm' | 'in', dpi, headMin, headMax }
+    async createCustomPassport(size, resolution = 300, cropMode = 'smart', backgroundColor = null, options = {}) {
+        try {
+            this.logger.info('Creating custom passport photo', { size, resolution });
+
+            const validation = this.validateCustomSize(size);
+            if (!validation.valid) {
+                throw new Error(validation.error);
+            }
+
+            const preset = this.buildCustomPreset(size);
+            return await this.createPassportPhoto(preset, resolution, cropMode, backgroundColor, options);
+
+        } catch (error) {
+            // createPassportPhoto already reported Photoshop failures
+            this.logger.error('Failed to create custom passport photo', error, { size });
+            throw error;
+        }
+    }
+
+    // category: one of this.categories, or null for every preset
+    getPresetsList(category = null) {
+        return Object.entries({ ...this.presets, ...this.customPresets })
+            .filter(([, value]) => !category || value.category === category)
+            .map(([key, value]) => ({
+                id: key,
+                name: value.name,
+                category: value.category,
+                country: value.country,
+                dimensions: this.formatDimensions(value),
+                icon: value.icon,
+                headHeightMM: value.headHeightMM,
+                eyeLineMM: value.eyeLineMM,
+                headRatio: value.headRatio,
+                background: value.background,
+                file: value.file
+            }));
+    }
+
+    getCategoriesList() {
+        return Object.entries(this.categories).map(([key, value]) => ({ id: key, name: value }));
+    }
+
+    formatDimensions(preset) {
+        // Custom sizes read back in the unit they were entered in
+        if (preset.size && preset.size.unit === 'in') {
+            return `${preset.size.width}x${preset.size.height}in`;
+        }
+        return preset.widthMM
+            ? `${preset.widthMM}x${preset.heightMM}mm`
+            : `${preset.widthPx}x${preset.heightPx}px`;
+    }
+
+    // One-line summary of a preset's rules for the UI
+    describePreset(presetId) {
+        const preset = typeof presetId === 'string' ? this.getPreset(presetId) : presetId;
+        if (!preset) return '';
+
+        const parts = [this.formatDimensions(preset)];
+
+        if (preset.headHeightMM) {
+            parts.push(`head ${preset.headHeightMM.min}–${preset.headHeightMM.max} mm`);
+        } else if (preset.headRatio) {
+            parts.push(`head ${Math.round(preset.headRatio.min * 100)}–${Math.round(preset.headRatio.max * 100)}% of height`);
+        }
+
+        if (preset.background) {
+            parts.push(`background: ${this.formatBackgrounds(preset.background.allowed)}`);
+        }
+
+        if (preset.file) {
+            const formats = preset.file.formats.map(format => format.toUpperCase()).join('/');
+            const { minKB, maxKB } = preset.file;
+            let limit = '';
+            if (minKB && maxKB) limit = ` ${minKB}–${maxKB} KB`;
+            else if (maxKB) limit = ` ≤${maxKB} KB`;
+            else if (minKB) limit = ` ≥${minKB} KB`;
+            parts.push(`${formats}${limit}`);
+        }
+
+        return parts.join(' · ');
+    }
+
     getPreset(presetId) {
-        return this.presets[presetId.toLowerCase()];
+        const id = presetId.toLowerCase();
+        return this.presets[id] || this.customPresets[id] || null;
+    }
+
+    // ==========================================
+    // BACKGROUND RULES
+    // ==========================================
+
+    // backgroundColor: a passportBackground value, hex or { r, g, b }; null or 'none' keeps the original.
+    // Returns { compliant, checked, allowed, message }. Presets without a rule
+    // (custom sizes) accept anything, and a kept original can't be checked.
+    checkBackground(presetId, backgroundColor) {
+        const preset = this._resolvePreset(presetId);
+
+        if (!preset.background) {
+            return { compliant: true, checked: false, allowed: null, message: '' };
+        }
+
+        const allowed = preset.background.allowed;
+        if (!backgroundColor || backgroundColor === 'none') {
+            return {
+                compliant: true,
+                checked: false,
+                allowed,
+                message: `Original background kept - ${preset.name} needs ${this.formatBackgrounds(allowed)}`
+            };
+        }
+
+        const compliant = this.backgrounds[backgroundColor]
+            ? allowed.includes(backgroundColor)
+            : this._isCloseToAllowed(backgroundColor, allowed);
+        const colorName = this.backgrounds[backgroundColor]
+            || (this.backgroundService ? this.backgroundService.describeColor(backgroundColor) : backgroundColor);
+
+        return {
+            compliant,
+            checked: true,
+            allowed,
+            message: compliant
+                ? ''
+                : `${preset.name} doesn't accept a ${colorName} background - use ${this.formatBackgrounds(allowed)}`
+        };
+    }
+
+    // Custom colors (hex or { r, g, b }) pass when they are a near match for an accepted one
+    _isCloseToAllowed(color, allowed) {
+        if (!this.backgroundService) {
+            return false;
+        }
+
+        const rgb = this.backgroundService._parseColor(color);
+        return allowed.some(name => {
+            const target = this.backgroundService._parseColor(name);
+            const distance = Math.sqrt(
+                Math.pow(rgb.r - target.r, 2) + Math.pow(rgb.g - target.g, 2) + Math.pow(rgb.b - target.b, 2)
+            );
+            return distance <= this.backgroundTolerance;
+        });
+    }
+
+    // First accepted background, kept as is when the current choice already complies
+    getDefaultBackground(presetId, current = null) {
+        const preset = this._resolvePreset(presetId);
+
+        if (!preset.background) {
+            return current || 'white';
+        }
+        return preset.background.allowed.includes(current) ? current : preset.background.allowed[0];
+    }
+
+    formatBackgrounds(allowed) {
+        const names = allowed.map(color => this.backgrounds[color] || color);
+        return names.length > 1
+            ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`
+            : names[0];
+    }
+
+    // Accepts a preset id or a preset object (e.g. an unsaved custom size)
+    _resolvePreset(presetId) {
+        const preset = typeof presetId === 'string' ? this.getPreset(presetId) : presetId;
+        if (!preset) {
+            throw new Error(`Unknown passport preset: ${presetId}`);
+        }
+        return preset;
+    }
+
+    // ==========================================
+    // CUSTOM PRESETS
+    // ==========================================
+
+    get customPresets() {
+        return this.userPresets.items;
+    }
+
+    async loadCustomPresets() {
+        return await this.userPresets.load();
+    }
+
+    // Saved entries as the user typed them - only those that passed validation
+    getCustomPresets() {
+        return this.userPresets.getEntries();
+    }
+
+    // entry: { id, name, width, height, unit: 'mm' | 'in', dpi, headMin, headMax }
+    // headMin/headMax are the head height as % of the photo height.
+    validateCustomPreset(entry, isUpdate = false) {
+        return this.userPresets.validate(entry, isUpdate);
+    }
+
+    // The size part of a custom preset - also used for unsaved custom sizes
+    validateCustomSize(entry) {
+        const validator = this.ps.validator;
+
+        const unitValidation = validator.validateEnum(entry.unit, Object.keys(this.units));
+        if (!unitValidation.valid) {
+            return { valid: false, error: `Unit: ${unitValidation.error}` };
+        }
+
+        const widthMM = this.toMM(entry.width, entry.unit);
+        const heightMM = this.toMM(entry.height, entry.unit);
+        const dimValidation = validator.validateDimensions(widthMM, heightMM, 10, 10, 300, 300);
+        if (!dimValidation.valid) {
+            return { valid: false, error: 'Width and height must be between 10 and 300 mm (0.4–11.8 in)' };
+        }
+
+        const dpiValidation = validator.validateNumber(entry.dpi, 72, 600, false);
+        if (!dpiValidation.valid) {
+            return { valid: false, error: `DPI: ${dpiValidation.error}` };
+        }
+
+        const headMinValidation = validator.validateNumber(entry.headMin, 30, 95, false);
+        const headMaxValidation = validator.validateNumber(entry.headMax, 30, 95, false);
+        if (!headMinValidation.valid || !headMaxValidation.valid) {
+            return { valid: false, error: 'Head height must be between 30% and 95% of the photo height' };
+        }
+        if (entry.headMin && entry.headMax && Number(entry.headMin) > Number(entry.headMax)) {
+            return { valid: false, error: 'Head height minimum is larger than the maximum' };
+        }
+
+        return { valid: true };
+    }
+
+    // Turns a custom entry into a preset the rest of the service understands
+    buildCustomPreset(entry) {
+        const widthMM = this.toMM(entry.width, entry.unit);
+        const heightMM = this.toMM(entry.height, entry.unit);
+        const headMin = Number(entry.headMin) || 70;
+        const headMax = Number(entry.headMax) || 80;
+
+        const preset = {
+            id: entry.id || 'custom',
+            name: entry.name || `Custom ${entry.width}x${entry.height}${entry.unit}`,
+            category: 'custom',
+            widthMM,
+            heightMM,
+            widthPx: Math.round(widthMM * 300 / 25.4),
+            heightPx: Math.round(heightMM * 300 / 25.4),
+            resolution: Number(entry.dpi) || 300,
+            country: 'Custom',
+            icon: '📐',
+            headRatio: { min: headMin / 100, max: headMax / 100 },
+            eyeRatio: { min: 0.5, max: 0.7 },
+            background: null,
+            file: { formats: ['jpg', 'png'], minKB: null, maxKB: null },
+            size: { width: Number(entry.width), height: Number(entry.height), unit: entry.unit },
+            custom: true
+        };
+
+        // The mm form of the same rules, so compliance reports read in mm
+        preset.headHeightMM = {
+            min: Math.round(preset.headRatio.min * heightMM * 10) / 10,
+            max: Math.round(preset.headRatio.max * heightMM * 10) / 10
+        };
+        preset.eyeLineMM = {
+            min: Math.round(preset.eyeRatio.min * heightMM * 10) / 10,
+            max: Math.round(preset.eyeRatio.max * heightMM * 10) / 10
+        };
+
+        return preset;
+    }
+
+    async saveCustomPreset(entry, isUpdate = false) {
+        return await this.userPresets.save(entry, isUpdate);
+    }
+
+    async deleteCustomPreset(id) {
+        return await this.userPresets.remove(id);
+    }
+
+    toMM(value, unit) {
+        return Math.round(Number(value) * this.units[unit].mm * 10) / 10;
+    }
+
+    fromMM(valueMM, unit) {
+        return Math.round(valueMM / this.units[unit].mm * 100) / 100;
     }
 }
 
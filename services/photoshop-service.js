@@ -11,6 +11,9 @@ class PhotoshopService {
         this.errorHandler = errorHandler;
         this.validator = validator;
         this.app = app;
+
+        // Photoshop's limit on color sampler points per document
+        this.maxColorSamplers = 10;
     }
 
     // ==========================================
@@ -41,6 +44,20 @@ class PhotoshopService {
         }
     }
 
+    // Size the active document prints at, from its pixel size and PPI metadata
+    async getPrintSize() {
+        const doc = await this.getActiveDocument();
+        const toMM = pixels => Math.round(pixels / doc.resolution * 25.4 * 10) / 10;
+
+        return {
+            width: doc.width,
+            height: doc.height,
+            resolution: doc.resolution,
+            widthMM: toMM(doc.width),
+            heightMM: toMM(doc.height)
+        };
+    }
+
     async getDocumentInfo() {
         try {
             const doc = await this.getActiveDocument();
@@ -100,11 +117,120 @@ class PhotoshopService {
         }
     }
 
+    // source defaults to the active document
+    async duplicateDocument(name = null, sourceDoc = null) {
+        try {
+            const source = sourceDoc || await this.getActiveDocument();
+            const copyName = name || `${source.name} copy`;
+
+            this.logger.info('Duplicating document', { source: source.name, copyName });
+
+            let copy;
+            await require('photoshop').core.executeAsModal(async () => {
+                // The duplicate becomes the active document
+                copy = await source.duplicate(copyName);
+            }, { commandName: 'DuplicateDocument' });
+
+            this.logger.info('Document duplicated successfully');
+            return copy;
+        } catch (error) {
+            this.logger.error('Failed to duplicate document', error);
+            if (this.errorHandler) {
+                await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, { operation: 'duplicateDocument' });
+            }
+            throw error;
+        }
+    }
+
+    // Duplicates the active document so an operation never touches the source,
+    // e.g. "portrait.psd" + "EU Passport" -> "portrait – EU Passport"
+    async createWorkingCopy(operationLabel) {
+        const source = await this.getActiveDocument();
+        const baseName = source.name.replace(/\.[^.]+$/, '');
+        return await this.duplicateDocument(`${baseName} – ${operationLabel}`);
+    }
+
+    async activateDocument(doc) {
+        try {
+            await require('photoshop').core.executeAsModal(async () => {
+                this.app.activeDocument = doc;
+            }, { commandName: 'ActivateDocument' });
+            this.logger.debug('Document activated', { name: doc.name });
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to activate document', error);
+            throw error;
+        }
+    }
+
+    async closeDocument(doc) {
+        try {
+            this.logger.debug('Closing document without saving', { name: doc.name });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                await doc.closeWithoutSaving();
+            }, { commandName: 'CloseDocument' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to close document', error);
+            throw error;
+        }
+    }
+
+    // quality is in the format's own scale - JPEG levels 0-12, WebP 1-100 - and
+    // defaults to the highest. It is ignored for PNG.
+    async saveDocumentAs(file, format = 'png', quality = null) {
+        try {
+            const doc = await this.getActiveDocument();
+
+            this.logger.info('Saving document copy', { name: file.name, format, quality });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                if (format === 'png') {
+                    await doc.saveAs.png(file, { compression: 6 }, true);
+                } else if (format === 'jpg') {
+                    await doc.saveAs.jpg(file, { quality: quality === null ? 12 : quality }, true);
+                } else if (format === 'webp') {
+                    const token = require('uxp').storage.localFileSystem.createSessionToken(file);
+                    const batchCommands = [{
+                        _obj: 'save',
+                        as: {
+                            _obj: 'WebPFormat',
+                            compression: { _enum: 'WebPCompression', _value: 'compressionLossy' },
+                            quality: quality === null ? 100 : quality,
+                            includeXMPData: false,
+                            includeEXIFData: false,
+                            includePsExtras: false
+                        },
+                        in: { _path: token, _kind: 'local' },
+                        copy: true,
+                        lowerCase: true
+                    }];
+                    await require('photoshop').action.batchPlay(batchCommands, {});
+                } else {
+                    throw new Error(`Unsupported file format: ${format}`);
+                }
+            }, { commandName: 'SaveDocument' });
+
+            this.logger.info('Document saved successfully', { name: file.name });
+            return { success: true, file };
+        } catch (error) {
+            this.logger.error('Failed to save document', error);
+            if (this.errorHandler) {
+                await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, { operation: 'saveDocumentAs', format });
+            }
+            throw error;
+        }
+    }
+
     // ==========================================
     // IMAGE TRANSFORMATION
     // ==========================================
 
-    async resizeImage(width, height, resampleMethod = 'bicubic') {
+    // resolution (PPI) is stored without resampling again, so the pixel size stays
+    // exact and the document prints at width / resolution inches
+    async resizeImage(width, height, resampleMethod = 'bicubic', resolution = null) {
         try {
             const doc = await this.getActiveDocument();
 
@@ -113,7 +239,14 @@ class PhotoshopService {
                 throw new Error(dimValidation.error);
             }
 
-            this.logger.info('Resizing image', { width, height, resampleMethod });
+            if (resolution !== null) {
+                const resValidation = this.validator.validateNumber(resolution, 1, 10000);
+                if (!resValidation.valid) {
+                    throw new Error(`Resolution: ${resValidation.error}`);
+                }
+            }
+
+            this.logger.info('Resizing image', { width, height, resampleMethod, resolution });
 
             await require('photoshop').core.executeAsModal(async () => {
                 const batchCommands = [{
@@ -125,11 +258,19 @@ class PhotoshopService {
                     constrainProportions: false
                 }];
 
+                // No interpolation key = Resample off: only the PPI metadata changes
+                if (resolution !== null) {
+                    batchCommands.push({
+                        _obj: 'imageSize',
+                        resolution: { _unit: 'densityUnit', _value: resolution }
+                    });
+                }
+
                 await require('photoshop').action.batchPlay(batchCommands, {});
             }, { commandName: 'ResizeImage' });
 
             this.logger.info('Image resized successfully');
-            return { success: true, width, height };
+            return { success: true, width, height, resolution: resolution || doc.resolution };
         } catch (error) {
             this.logger.error('Failed to resize image', error);
             if (this.errorHandler) {
@@ -174,35 +315,14 @@ class PhotoshopService {
         }
     }
 
-    async cropToSquare(size, method = 'center') {
+    async cropToSquare(size, method = 'center', options = {}) {
         try {
             const doc = await this.getActiveDocument();
             const docWidth = doc.width;
             const docHeight = doc.height;
 
-            let cropBounds;
-
-            if (method === 'center') {
-                // Center crop
-                const minDim = Math.min(docWidth, docHeight);
-                const left = (docWidth - minDim) / 2;
-                const top = (docHeight - minDim) / 2;
-                cropBounds = {
-                    left,
-                    top,
-                    right: left + minDim,
-                    bottom: top + minDim
-                };
-            } else {
-                // Top-left crop
-                const minDim = Math.min(docWidth, docHeight);
-                cropBounds = {
-                    left: 0,
-                    top: 0,
-                    right: minDim,
-                    bottom: minDim
-                };
-            }
+            const crop = await this.getCropBounds(1, method, options);
+            const cropBounds = crop.bounds;
 
             await this.cropImage(cropBounds.left, cropBounds.top, cropBounds.right, cropBounds.bottom);
 
@@ -210,14 +330,575 @@ class PhotoshopService {
                 await this.resizeImage(size, size);
             }
 
-            this.logger.info('Square crop completed', { size, method });
-            return { success: true };
+            this.logger.info('Square crop completed', { size, method, appliedMethod: crop.method });
+            return { success: true, method: crop.method, bounds: cropBounds };
         } catch (error) {
             this.logger.error('Failed to crop to square', error);
             throw error;
         }
     }
 
+    // Resolves crop bounds for the active document. 'smart' runs subject
+    // detection and falls back to 'center' when no subject is found.
+    async getCropBounds(targetRatio, method = 'center', options = {}) {
+        // Bounds fixed by the user in the crop adjust step
+        if (options.cropBounds) {
+            return { bounds: options.cropBounds, method: 'manual', subjectBounds: null };
+        }
+
+        const doc = await this.getActiveDocument();
+
+        let appliedMethod = method;
+        let subjectBounds = null;
+
+        if (method === 'smart') {
+            subjectBounds = await this.getSubjectBounds();
+            if (!subjectBounds) {
+                this.logger.warn('No subject detected, falling back to center crop');
+                appliedMethod = 'center';
+            }
+        }
+
+        const bounds = this.computeCropBounds(doc.width, doc.height, targetRatio, appliedMethod, {
+            ...options,
+            subjectBounds
+        });
+
+        this.logger.debug('Crop bounds computed', { targetRatio, method, appliedMethod, bounds, subjectBounds });
+        return { bounds, method: appliedMethod, subjectBounds };
+    }
+
+    // Pure crop math.
+    // options.focus       - point in the output (0-1) where the source center (or subject center) lands
+    // options.headroom    - smart only: space above the subject as a share of the crop height
+    // options.subjectFill - smart only: share of the crop the subject should fill
+    computeCropBounds(docWidth, docHeight, targetRatio, method = 'center', options = {}) {
+        const focus = options.focus || { x: 0.5, y: 0.5 };
+
+        // Largest crop of the target ratio that fits the document
+        let cropWidth = docWidth;
+        let cropHeight = docWidth / targetRatio;
+        if (cropHeight > docHeight) {
+            cropHeight = docHeight;
+            cropWidth = docHeight * targetRatio;
+        }
+
+        let left;
+        let top;
+
+        if (method === 'topLeft') {
+            left = 0;
+            top = 0;
+        } else if (method === 'smart' && options.subjectBounds) {
+            const subject = options.subjectBounds;
+            const headroom = options.headroom !== undefined ? options.headroom : 0.1;
+            const subjectFill = options.subjectFill !== undefined ? options.subjectFill : 0.8;
+
+            const subjectWidth = subject.right - subject.left;
+            const subjectHeight = subject.bottom - subject.top;
+
+            // Size the crop so the subject fills the requested share of it
+            const wantedHeight = Math.max(subjectHeight, subjectWidth / targetRatio) / subjectFill;
+            if (wantedHeight < cropHeight) {
+                cropHeight = Math.max(wantedHeight, 1);
+                cropWidth = cropHeight * targetRatio;
+            }
+
+            const subjectCenterX = (subject.left + subject.right) / 2;
+            left = this._clamp(subjectCenterX - focus.x * cropWidth, 0, docWidth - cropWidth);
+            top = this._clamp(subject.top - headroom * cropHeight, 0, docHeight - cropHeight);
+        } else {
+            left = this._clamp(docWidth / 2 - focus.x * cropWidth, 0, docWidth - cropWidth);
+            top = this._clamp(docHeight / 2 - focus.y * cropHeight, 0, docHeight - cropHeight);
+        }
+
+        return {
+            left,
+            top,
+            right: left + cropWidth,
+            bottom: top + cropHeight
+        };
+    }
+
+    // Applies panel pan/zoom to a proposed crop, keeping its aspect ratio.
+    // adjustment.offsetX / offsetY - percent of the document width / height
+    // adjustment.scale             - 1 = proposed size, below 1 zooms in
+    adjustCropBounds(bounds, adjustment, docWidth, docHeight) {
+        const baseWidth = bounds.right - bounds.left;
+        const baseHeight = bounds.bottom - bounds.top;
+        const ratio = baseWidth / baseHeight;
+
+        let width = baseWidth * (adjustment.scale || 1);
+        let height = width / ratio;
+        if (width > docWidth) {
+            width = docWidth;
+            height = width / ratio;
+        }
+        if (height > docHeight) {
+            height = docHeight;
+            width = height * ratio;
+        }
+
+        const centerX = (bounds.left + bounds.right) / 2 + (adjustment.offsetX || 0) / 100 * docWidth;
+        const centerY = (bounds.top + bounds.bottom) / 2 + (adjustment.offsetY || 0) / 100 * docHeight;
+
+        const left = Math.round(this._clamp(centerX - width / 2, 0, docWidth - width));
+        const top = Math.round(this._clamp(centerY - height / 2, 0, docHeight - height));
+
+        return {
+            left,
+            top,
+            right: left + Math.round(width),
+            bottom: top + Math.round(height)
+        };
+    }
+
+    // Shows a proposed crop as a marquee selection in the document
+    async showCropPreview(bounds) {
+        await this.selectShape(bounds, 'rectangle');
+    }
+
+    async clearCropPreview() {
+        try {
+            await this.deselect();
+        } catch (error) {
+            this.logger.warn('Could not clear crop preview', error);
+        }
+    }
+
+    _clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    // ==========================================
+    // SUBJECT DETECTION
+    // ==========================================
+
+    // Runs Select Subject and returns the selection bounds in pixels,
+    // or null when detection is unavailable or finds nothing.
+    async getSubjectBounds() {
+        try {
+            this.logger.debug('Detecting subject bounds');
+
+            let bounds = null;
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchPlay = require('photoshop').action.batchPlay;
+
+                await batchPlay([{
+                    _obj: 'autoCutout',
+                    sampleAllLayers: false
+                }], {});
+
+                const result = await batchPlay([{
+                    _obj: 'get',
+                    _target: [
+                        { _property: 'selection' },
+                        { _ref: 'document', _enum: 'ordinal', _value: 'targetEnum' }
+                    ]
+                }], {});
+
+                const selection = result[0] && result[0].selection;
+                if (selection) {
+                    bounds = {
+                        left: selection.left._value,
+                        top: selection.top._value,
+                        right: selection.right._value,
+                        bottom: selection.bottom._value
+                    };
+                }
+
+                await batchPlay([{
+                    _obj: 'set',
+                    _target: [{ _ref: 'channel', _property: 'selection' }],
+                    to: { _enum: 'ordinal', _value: 'none' }
+                }], {});
+            }, { commandName: 'DetectSubject' });
+
+            if (!bounds || bounds.right <= bounds.left || bounds.bottom <= bounds.top) {
+                this.logger.warn('Select Subject returned no usable selection');
+                return null;
+            }
+
+            this.logger.info('Subject bounds detected', bounds);
+            return bounds;
+        } catch (error) {
+            this.logger.warn('Subject detection unavailable', error);
+            return null;
+        }
+    }
+
+    // Runs Select Subject and measures the subject's width on rowCount evenly
+    // spaced rows. Used to tell the head apart from the shoulders.
+    // Returns { bounds, rows: [{ y, left, right, width }] } or null.
+    async getSubjectProfile(rowCount = 24, coverage = 0.6) {
+        const channelName = 'Subject Profile';
+
+        try {
+            this.logger.debug('Measuring subject profile', { rowCount, coverage });
+
+            let profile = null;
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchPlay = require('photoshop').action.batchPlay;
+                const selectionRef = [{ _ref: 'channel', _property: 'selection' }];
+                const getSelection = async () => {
+                    const result = await batchPlay([{
+                        _obj: 'get',
+                        _target: [
+                            { _property: 'selection' },
+                            { _ref: 'document', _enum: 'ordinal', _value: 'targetEnum' }
+                        ]
+                    }], {});
+                    return result[0] && result[0].selection;
+                };
+
+                let channelCreated = false;
+
+                try {
+                    await batchPlay([{ _obj: 'autoCutout', sampleAllLayers: false }], {});
+
+                    const selection = await getSelection();
+                    if (!selection) return;
+
+                    const bounds = {
+                        left: selection.left._value,
+                        top: selection.top._value,
+                        right: selection.right._value,
+                        bottom: selection.bottom._value
+                    };
+
+                    // Keep the subject mask in a channel so every row starts from it
+                    await batchPlay([{ _obj: 'duplicate', _target: selectionRef, name: channelName }], {});
+                    channelCreated = true;
+
+                    const docWidth = this.app.activeDocument.width;
+                    const span = (bounds.bottom - bounds.top) * coverage;
+                    const rows = [];
+
+                    for (let i = 0; i < rowCount; i++) {
+                        const y = Math.round(bounds.top + span * (i + 0.5) / rowCount);
+
+                        await batchPlay([
+                            { _obj: 'set', _target: selectionRef, to: { _ref: 'channel', _name: channelName } },
+                            {
+                                _obj: 'intersectWith',
+                                _target: selectionRef,
+                                to: {
+                                    _obj: 'rectangle',
+                                    top: { _unit: 'pixelsUnit', _value: y },
+                                    left: { _unit: 'pixelsUnit', _value: 0 },
+                                    bottom: { _unit: 'pixelsUnit', _value: y + 1 },
+                                    right: { _unit: 'pixelsUnit', _value: docWidth }
+                                }
+                            }
+                        ], {});
+
+                        const row = await getSelection();
+                        if (row) {
+                            rows.push({
+                                y,
+                                left: row.left._value,
+                                right: row.right._value,
+                                width: row.right._value - row.left._value
+                            });
+                        } else {
+                            rows.push({ y, left: 0, right: 0, width: 0 });
+                        }
+                    }
+
+                    profile = { bounds, rows };
+                } finally {
+                    // Also on failure - the temporary channel would otherwise be saved with the document
+                    const cleanup = [{ _obj: 'set', _target: selectionRef, to: { _enum: 'ordinal', _value: 'none' } }];
+                    if (channelCreated) {
+                        cleanup.unshift({ _obj: 'delete', _target: [{ _ref: 'channel', _name: channelName }] });
+                    }
+                    await batchPlay(cleanup, {});
+                }
+            }, { commandName: 'MeasureSubject' });
+
+            if (!profile) {
+                this.logger.warn('Select Subject returned no usable selection');
+                return null;
+            }
+
+            this.logger.info('Subject profile measured', { bounds: profile.bounds, rows: profile.rows.length });
+            return profile;
+        } catch (error) {
+            this.logger.warn('Subject measurement unavailable', error);
+            return null;
+        }
+    }
+
+    // ==========================================
+    // PIXEL SAMPLING
+    // ==========================================
+
+    // Reads a downscaled RGB copy of the document (at most sampleWidth wide) via
+    // the UXP imaging API, plus the Select Subject mask at the same size when
+    // withSubjectMask is set. Returns { width, height, scale, rgb, mask } where
+    // rgb holds 3 bytes per pixel and mask 1 byte (255 = subject) or null.
+    async samplePixels(sampleWidth = 160, withSubjectMask = false) {
+        const { imaging, core, action } = require('photoshop');
+        if (!imaging || !imaging.getPixels) {
+            throw new Error('Pixel analysis needs Photoshop 2023 (24.2) or later');
+        }
+
+        const doc = this.app.activeDocument;
+        const scale = Math.min(1, sampleWidth / doc.width);
+        const targetSize = {
+            width: Math.max(1, Math.round(doc.width * scale)),
+            height: Math.max(1, Math.round(doc.height * scale))
+        };
+
+        let sample = null;
+
+        await core.executeAsModal(async () => {
+            const pixels = await imaging.getPixels({
+                documentID: doc.id,
+                targetSize,
+                componentSize: 8,
+                applyAlpha: true,
+                colorSpace: 'RGB'
+            });
+            const imageData = pixels.imageData;
+            const data = await imageData.getData({ chunky: true });
+            const components = imageData.components;
+
+            // Drop the alpha channel if the layer stack returned one
+            const count = imageData.width * imageData.height;
+            const rgb = new Uint8Array(count * 3);
+            for (let i = 0; i < count; i++) {
+                rgb[i * 3] = data[i * components];
+                rgb[i * 3 + 1] = data[i * components + 1];
+                rgb[i * 3 + 2] = data[i * components + 2];
+            }
+
+            sample = { width: imageData.width, height: imageData.height, scale, rgb, mask: null };
+            imageData.dispose();
+
+            if (withSubjectMask) {
+                try {
+                    await action.batchPlay([{ _obj: 'autoCutout', sampleAllLayers: false }], {});
+                    const selection = await imaging.getSelection({ documentID: doc.id, targetSize });
+                    sample.mask = await selection.imageData.getData();
+                    selection.imageData.dispose();
+                } catch (error) {
+                    this.logger.warn('No subject mask for pixel sample', { message: error.message });
+                } finally {
+                    await action.batchPlay([{
+                        _obj: 'set',
+                        _target: [{ _ref: 'channel', _property: 'selection' }],
+                        to: { _enum: 'ordinal', _value: 'none' }
+                    }], {});
+                }
+            }
+        }, { commandName: 'SamplePixels' });
+
+        this.logger.debug('Pixels sampled', { width: sample.width, height: sample.height, masked: !!sample.mask });
+        return sample;
+    }
+
+    // Average colors at points along the top and sides of the image, where a
+    // studio backdrop shows. Uses the imaging API when present and falls back to
+    // color samplers on older builds. Returns [{ x, y, r, g, b }].
+    async sampleBorderColors() {
+        const doc = await this.getActiveDocument();
+        const inset = Math.max(2, Math.round(Math.min(doc.width, doc.height) * 0.02));
+        const points = [
+            { x: inset, y: inset },
+            { x: doc.width / 2, y: inset },
+            { x: doc.width - 1 - inset, y: inset },
+            { x: inset, y: doc.height / 2 },
+            { x: doc.width - 1 - inset, y: doc.height / 2 }
+        ].map(point => ({ x: Math.round(point.x), y: Math.round(point.y) }));
+
+        const { imaging } = require('photoshop');
+        if (imaging && imaging.getPixels) {
+            const sample = await this.samplePixels(160);
+
+            // 3x3 patch around each point in the downscaled sample
+            return points.map(point => {
+                const cx = Math.min(sample.width - 1, Math.round(point.x * sample.scale));
+                const cy = Math.min(sample.height - 1, Math.round(point.y * sample.scale));
+                const sum = { r: 0, g: 0, b: 0, count: 0 };
+
+                for (let y = Math.max(0, cy - 1); y <= Math.min(sample.height - 1, cy + 1); y++) {
+                    for (let x = Math.max(0, cx - 1); x <= Math.min(sample.width - 1, cx + 1); x++) {
+                        const i = (y * sample.width + x) * 3;
+                        sum.r += sample.rgb[i];
+                        sum.g += sample.rgb[i + 1];
+                        sum.b += sample.rgb[i + 2];
+                        sum.count++;
+                    }
+                }
+
+                return {
+                    ...point,
+                    r: Math.round(sum.r / sum.count),
+                    g: Math.round(sum.g / sum.count),
+                    b: Math.round(sum.b / sum.count)
+                };
+            });
+        }
+
+        const colors = [];
+
+        await require('photoshop').core.executeAsModal(async () => {
+            const batchPlay = require('photoshop').action.batchPlay;
+            const docRef = { _ref: 'document', _enum: 'ordinal', _value: 'targetEnum' };
+            const existing = await batchPlay([{
+                _obj: 'get',
+                _target: [{ _property: 'numberOfColorSamplers' }, docRef]
+            }], {});
+            const existingCount = (existing[0] && existing[0].numberOfColorSamplers) || 0;
+            const first = existingCount + 1;
+
+            // Photoshop allows 10 samplers - the user's own ones stay, so the
+            // points are sampled in batches that fit next to them
+            const free = this.maxColorSamplers - existingCount;
+            if (free < 1) {
+                throw new Error(`All ${this.maxColorSamplers} color samplers are in use - remove one to sample the background`);
+            }
+
+            for (let start = 0; start < points.length; start += free) {
+                const batch = points.slice(start, start + free);
+                let added = 0;
+
+                try {
+                    for (const point of batch) {
+                        await batchPlay([{
+                            _obj: 'make',
+                            _target: [{ _ref: 'colorSampler' }],
+                            position: {
+                                _obj: 'paint',
+                                horizontal: { _unit: 'pixelsUnit', _value: point.x },
+                                vertical: { _unit: 'pixelsUnit', _value: point.y }
+                            }
+                        }], {});
+                        added++;
+                    }
+
+                    for (let i = 0; i < batch.length; i++) {
+                        const result = await batchPlay([{
+                            _obj: 'get',
+                            _target: [{ _ref: 'colorSampler', _index: first + i }, docRef]
+                        }], {});
+                        const color = result[0] && result[0].color;
+                        if (color) {
+                            colors.push({ ...batch[i], r: Math.round(color.red), g: Math.round(color.grain), b: Math.round(color.blue) });
+                        }
+                    }
+                } finally {
+                    // Remove only the samplers added here, last first so indices stay valid
+                    for (let i = added - 1; i >= 0; i--) {
+                        await batchPlay([{
+                            _obj: 'delete',
+                            _target: [{ _ref: 'colorSampler', _index: first + i }]
+                        }], {});
+                    }
+                }
+            }
+        }, { commandName: 'SampleBorderColors' });
+
+        return colors;
+    }
+
+    // Positions of the color sampler points the user placed (Color Sampler tool),
+    // in pixels: [{ x, y }]
+    async getColorSamplerPoints() {
+        const doc = await this.getActiveDocument();
+        const points = [];
+
+        await require('photoshop').core.executeAsModal(async () => {
+            const batchPlay = require('photoshop').action.batchPlay;
+            const docRef = { _ref: 'document', _enum: 'ordinal', _value: 'targetEnum' };
+
+            const count = await batchPlay([{
+                _obj: 'get',
+                _target: [{ _property: 'numberOfColorSamplers' }, docRef]
+            }], {});
+
+            for (let i = 1; i <= ((count[0] && count[0].numberOfColorSamplers) || 0); i++) {
+                const result = await batchPlay([{
+                    _obj: 'get',
+                    _target: [{ _ref: 'colorSampler', _index: i }, docRef]
+                }], {});
+                const position = result[0] && result[0].position;
+                if (position) {
+                    points.push({
+                        x: Math.round(this._toPixels(position.horizontal, doc.resolution)),
+                        y: Math.round(this._toPixels(position.vertical, doc.resolution))
+                    });
+                }
+            }
+        }, { commandName: 'ReadColorSamplers' });
+
+        return points.filter(point => point.x >= 0 && point.y >= 0 && point.x < doc.width && point.y < doc.height);
+    }
+
+    // Unit value from a descriptor to pixels. distanceUnit is in points (1/72 in).
+    _toPixels(value, resolution) {
+        if (typeof value === 'number') return value;
+        return value._unit === 'distanceUnit' ? value._value * resolution / 72 : value._value;
+    }
+
+    // ==========================================
+    // GUIDES
+    // ==========================================
+
+    // Positions of the document's horizontal guides in pixels, top to bottom
+    getHorizontalGuides() {
+        try {
+            const doc = this.app.activeDocument;
+            if (!doc || !doc.guides) {
+                return [];
+            }
+
+            return doc.guides
+                .filter(guide => String(guide.direction).toLowerCase() === 'horizontal')
+                .map(guide => guide.coordinate)
+                .sort((a, b) => a - b);
+        } catch (error) {
+            this.logger.debug('Could not read guides', { message: error.message });
+            return [];
+        }
+    }
+
+    async addGuide(position, orientation = 'vertical') {
+        try {
+            this.logger.debug('Adding guide', { position, orientation });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [{
+                    _obj: 'make',
+                    _target: [{ _ref: 'guide' }],
+                    new: {
+                        _obj: 'guide',
+                        position: { _unit: 'pixelsUnit', _value: position },
+                        orientation: { _enum: 'orientation', _value: orientation }
+                    }
+                }];
+
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'AddGuide' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to add guide', error);
+            throw error;
+        }
+    }
+
+    async addGuideRect(bounds) {
+        await this.addGuide(bounds.left, 'vertical');
+        await this.addGuide(bounds.right, 'vertical');
+        await this.addGuide(bounds.top, 'horizontal');
+        await this.addGuide(bounds.bottom, 'horizontal');
+        return { success: true };
+    }
+
     // ==========================================
     // LAYER OPERATIONS
     // ==========================================
@@ -247,6 +928,96 @@ class PhotoshopService {
         }
     }
 
+    async createLayer(name) {
+        try {
+            this.logger.debug('Creating layer', { name });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [{
+                    _obj: 'make',
+                    _target: [{ _ref: 'layer' }],
+                    using: { _obj: 'layer', name: name }
+                }];
+
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'CreateLayer' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to create layer', error);
+            if (this.errorHandler) {
+                await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, { operation: 'createLayer' });
+            }
+            throw error;
+        }
+    }
+
+    async deleteLayerByName(name) {
+        try {
+            this.logger.debug('Deleting layer', { name });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [{
+                    _obj: 'delete',
+                    _target: [{ _ref: 'layer', _name: name }]
+                }];
+
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'DeleteLayer' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to delete layer', error, { name });
+            throw error;
+        }
+    }
+
+    async setLayerVisibility(name, visible) {
+        try {
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [{
+                    _obj: visible ? 'show' : 'hide',
+                    null: [{ _ref: 'layer', _name: name }]
+                }];
+
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'SetLayerVisibility' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.debug('Could not change layer visibility', { name, visible, message: error.message });
+            return { success: false };
+        }
+    }
+
+    // Turns a locked Background layer into a normal layer so it can hold transparency
+    async convertBackgroundToLayer(name = 'Layer 0') {
+        try {
+            this.logger.debug('Converting background to layer', { name });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [{
+                    _obj: 'set',
+                    _target: [{ _ref: 'layer', _property: 'background' }],
+                    to: {
+                        _obj: 'layer',
+                        name: name,
+                        opacity: { _unit: 'percentUnit', _value: 100 },
+                        mode: { _enum: 'blendMode', _value: 'normal' }
+                    }
+                }];
+
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'ConvertBackground' });
+
+            return { success: true };
+        } catch (error) {
+            // No background layer - the document is already unlocked
+            this.logger.debug('No background layer to convert', { message: error.message });
+            return { success: false };
+        }
+    }
+
     async flattenImage() {
         try {
             this.logger.info('Flattening image');
@@ -270,6 +1041,454 @@ class PhotoshopService {
         }
     }
 
+    // ==========================================
+    // SELECTION OPERATIONS
+    // ==========================================
+
+    // shape: 'rectangle' | 'ellipse' | 'rounded'. cornerRadius is in pixels.
+    async selectShape(bounds, shape = 'rectangle', cornerRadius = 0) {
+        try {
+            this.logger.debug('Selecting shape', { bounds, shape, cornerRadius });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [{
+                    _obj: 'set',
+                    _target: [{ _ref: 'channel', _property: 'selection' }],
+                    to: this._shapeArea(bounds, shape, cornerRadius),
+                    antiAlias: true
+                }];
+
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'SelectShape' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to select shape', error);
+            throw error;
+        }
+    }
+
+    // Cuts a shape out of the current selection (e.g. the hole of a ring)
+    async subtractShapeFromSelection(bounds, shape = 'rectangle', cornerRadius = 0) {
+        return await this._combineSelection('subtractFrom', bounds, shape, cornerRadius);
+    }
+
+    // Adds shapes to the current selection, e.g. to fill many marks in one go
+    async addShapesToSelection(boundsList, shape = 'rectangle') {
+        for (const bounds of boundsList) {
+            await this._combineSelection('addTo', bounds, shape, 0);
+        }
+        return { success: true };
+    }
+
+    async _combineSelection(command, bounds, shape, cornerRadius) {
+        try {
+            this.logger.debug('Combining selection', { command, bounds, shape, cornerRadius });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [{
+                    _obj: command,
+                    _target: [{ _ref: 'channel', _property: 'selection' }],
+                    to: this._shapeArea(bounds, shape, cornerRadius),
+                    antiAlias: true
+                }];
+
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'CombineSelection' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to combine selection', error, { command });
+            throw error;
+        }
+    }
+
+    _shapeArea(bounds, shape, cornerRadius) {
+        const area = {
+            _obj: shape === 'ellipse' ? 'ellipse' : 'rectangle',
+            top: { _unit: 'pixelsUnit', _value: bounds.top },
+            left: { _unit: 'pixelsUnit', _value: bounds.left },
+            bottom: { _unit: 'pixelsUnit', _value: bounds.bottom },
+            right: { _unit: 'pixelsUnit', _value: bounds.right }
+        };
+        if (shape === 'rounded' && cornerRadius > 0) {
+            area.radius = { _unit: 'pixelsUnit', _value: cornerRadius };
+        }
+        return area;
+    }
+
+    async invertSelection() {
+        try {
+            await require('photoshop').core.executeAsModal(async () => {
+                await require('photoshop').action.batchPlay([{ _obj: 'inverse' }], {});
+            }, { commandName: 'InvertSelection' });
+        } catch (error) {
+            this.logger.error('Failed to invert selection', error);
+            throw error;
+        }
+    }
+
+    async deleteSelection() {
+        try {
+            await require('photoshop').core.executeAsModal(async () => {
+                await require('photoshop').action.batchPlay([{ _obj: 'delete' }], {});
+            }, { commandName: 'DeleteSelection' });
+        } catch (error) {
+            this.logger.error('Failed to delete selection', error);
+            throw error;
+        }
+    }
+
+    async deselect() {
+        try {
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [{
+                    _obj: 'set',
+                    _target: [{ _ref: 'channel', _property: 'selection' }],
+                    to: { _enum: 'ordinal', _value: 'none' }
+                }];
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'Deselect' });
+        } catch (error) {
+            this.logger.error('Failed to deselect', error);
+            throw error;
+        }
+    }
+
+    async fillSelection(rgb, opacity = 100) {
+        try {
+            this.logger.debug('Filling selection', { rgb, opacity });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [{
+                    _obj: 'fill',
+                    using: { _enum: 'fillContents', _value: 'color' },
+                    color: {
+                        _obj: 'RGBColor',
+                        red: rgb.r,
+                        grain: rgb.g,
+                        blue: rgb.b
+                    },
+                    opacity: { _unit: 'percentUnit', _value: opacity },
+                    mode: { _enum: 'blendMode', _value: 'normal' }
+                }];
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'FillSelection' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to fill selection', error);
+            throw error;
+        }
+    }
+
+    // colors: evenly spaced stops. type: 'linear' | 'radial' | 'angle'.
+    // from/to are {x, y} in pixels.
+    async fillSelectionGradient(colors, from, to, type = 'linear') {
+        try {
+            this.logger.debug('Filling selection with gradient', { stops: colors.length, from, to, type });
+
+            const lastIndex = Math.max(colors.length - 1, 1);
+            const point = (p) => ({
+                _obj: 'paint',
+                horizontal: { _unit: 'pixelsUnit', _value: p.x },
+                vertical: { _unit: 'pixelsUnit', _value: p.y }
+            });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [{
+                    _obj: 'gradientClassEvent',
+                    from: point(from),
+                    to: point(to),
+                    type: { _enum: 'gradientType', _value: type },
+                    dither: true,
+                    gradient: {
+                        _obj: 'gradientClassEvent',
+                        name: 'Custom',
+                        gradientForm: { _enum: 'gradientForm', _value: 'customStops' },
+                        interfaceIconFrameDimmed: 4096,
+                        colors: colors.map((rgb, index) => ({
+                            _obj: 'colorStop',
+                            color: { _obj: 'RGBColor', red: rgb.r, grain: rgb.g, blue: rgb.b },
+                            type: { _enum: 'colorStopType', _value: 'userStop' },
+                            location: Math.round(index / lastIndex * 4096),
+                            midpoint: 50
+                        })),
+                        transparency: [0, 4096].map(location => ({
+                            _obj: 'transferSpec',
+                            opacity: { _unit: 'percentUnit', _value: 100 },
+                            location: location,
+                            midpoint: 50
+                        }))
+                    }
+                }];
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'FillGradient' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to fill selection with gradient', error);
+            throw error;
+        }
+    }
+
+    // ==========================================
+    // CLIPBOARD OPERATIONS
+    // ==========================================
+
+    // Copies the whole visible image (all layers merged)
+    async copyMerged() {
+        try {
+            this.logger.debug('Copying merged image');
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [
+                    {
+                        _obj: 'set',
+                        _target: [{ _ref: 'channel', _property: 'selection' }],
+                        to: { _enum: 'ordinal', _value: 'allEnum' }
+                    },
+                    { _obj: 'copyMerged' },
+                    {
+                        _obj: 'set',
+                        _target: [{ _ref: 'channel', _property: 'selection' }],
+                        to: { _enum: 'ordinal', _value: 'none' }
+                    }
+                ];
+
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'CopyMerged' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to copy image', error);
+            if (this.errorHandler) {
+                await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, { operation: 'copyMerged' });
+            }
+            throw error;
+        }
+    }
+
+    // Pastes the clipboard as a new layer centered on bounds
+    async pasteCentered(bounds) {
+        try {
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [
+                    {
+                        // Photoshop centers pasted pixels on the active selection
+                        _obj: 'set',
+                        _target: [{ _ref: 'channel', _property: 'selection' }],
+                        to: this._shapeArea(bounds, 'rectangle', 0)
+                    },
+                    {
+                        _obj: 'paste',
+                        antiAlias: { _enum: 'antiAliasType', _value: 'antiAliasNone' },
+                        as: { _class: 'pixel' }
+                    },
+                    {
+                        _obj: 'set',
+                        _target: [{ _ref: 'channel', _property: 'selection' }],
+                        to: { _enum: 'ordinal', _value: 'none' }
+                    }
+                ];
+
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'PasteCentered' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to paste image', error, { bounds });
+            throw error;
+        }
+    }
+
+    // ==========================================
+    // TEXT AND PLACED CONTENT
+    // ==========================================
+
+    // Creates a centered single-line text layer. x/y is the text center in pixels,
+    // fontSize is in pixels.
+    async createTextLayer(text, x, y, options = {}) {
+        try {
+            const {
+                name = text,
+                fontSize = 24,
+                color = { r: 255, g: 255, b: 255 },
+                fontName = 'Arial-BoldMT'
+            } = options;
+
+            this.logger.debug('Creating text layer', { name, x, y, fontSize });
+
+            const doc = app.activeDocument;
+            const docWidth = doc.width;
+            const docHeight = doc.height;
+            // Text sizes are in points; the click point is the baseline
+            const sizePt = fontSize * 72 / doc.resolution;
+            const baseline = y + fontSize * 0.35;
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [{
+                    _obj: 'make',
+                    _target: [{ _ref: 'textLayer' }],
+                    using: {
+                        _obj: 'textLayer',
+                        name: name,
+                        textKey: text,
+                        textClickPoint: {
+                            _obj: 'paint',
+                            horizontal: { _unit: 'percentUnit', _value: x / docWidth * 100 },
+                            vertical: { _unit: 'percentUnit', _value: baseline / docHeight * 100 }
+                        },
+                        textStyleRange: [{
+                            _obj: 'textStyleRange',
+                            from: 0,
+                            to: text.length,
+                            textStyle: {
+                                _obj: 'textStyle',
+                                fontPostScriptName: fontName,
+                                size: { _unit: 'pointsUnit', _value: sizePt },
+                                color: { _obj: 'RGBColor', red: color.r, grain: color.g, blue: color.b }
+                            }
+                        }],
+                        paragraphStyleRange: [{
+                            _obj: 'paragraphStyleRange',
+                            from: 0,
+                            to: text.length,
+                            paragraphStyle: {
+                                _obj: 'paragraphStyle',
+                                align: { _enum: 'alignmentType', _value: 'center' }
+                            }
+                        }]
+                    }
+                }];
+
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'CreateTextLayer' });
+
+            return { success: true, name };
+        } catch (error) {
+            this.logger.error('Failed to create text layer', error);
+            if (this.errorHandler) {
+                await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, { operation: 'createTextLayer' });
+            }
+            throw error;
+        }
+    }
+
+    // Rotates a layer around its own center
+    async rotateLayer(name, angle) {
+        try {
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = [
+                    {
+                        _obj: 'select',
+                        _target: [{ _ref: 'layer', _name: name }],
+                        makeVisible: false
+                    },
+                    {
+                        _obj: 'transform',
+                        _target: [{ _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' }],
+                        freeTransformCenterState: { _enum: 'quadCenterState', _value: 'QCSAverage' },
+                        angle: { _unit: 'angleUnit', _value: angle }
+                    }
+                ];
+
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'RotateLayer' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to rotate layer', error, { name, angle });
+            throw error;
+        }
+    }
+
+    // Merges the named layers into a single layer called newName
+    async mergeLayers(names, newName) {
+        try {
+            this.logger.debug('Merging layers', { count: names.length, newName });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const batchCommands = names.map((name, index) => {
+                    const command = {
+                        _obj: 'select',
+                        _target: [{ _ref: 'layer', _name: name }],
+                        makeVisible: false
+                    };
+                    if (index > 0) {
+                        command.selectionModifier = { _enum: 'selectionModifierType', _value: 'addToSelection' };
+                    }
+                    return command;
+                });
+
+                if (names.length > 1) {
+                    batchCommands.push({ _obj: 'mergeLayersNew' });
+                }
+
+                batchCommands.push({
+                    _obj: 'set',
+                    _target: [{ _ref: 'layer', _enum: 'ordinal', _value: 'targetEnum' }],
+                    to: { _obj: 'layer', name: newName }
+                });
+
+                await require('photoshop').action.batchPlay(batchCommands, {});
+            }, { commandName: 'MergeLayers' });
+
+            return { success: true };
+        } catch (error) {
+            this.logger.error('Failed to merge layers', error, { newName });
+            throw error;
+        }
+    }
+
+    // Places an image file as a new layer, scaled to fit inside bounds and centered on it
+    // fit: 'contain' keeps the whole image inside bounds, 'cover' fills bounds
+    // completely and lets the overflow run past them
+    async placeImage(file, bounds, name, fit = 'contain') {
+        try {
+            this.logger.debug('Placing image', { file: file.name, bounds, name, fit });
+
+            await require('photoshop').core.executeAsModal(async () => {
+                const token = require('uxp').storage.localFileSystem.createSessionToken(file);
+
+                await require('photoshop').action.batchPlay([{
+                    _obj: 'placeEvent',
+                    null: { _path: token, _kind: 'local' },
+                    freeTransformCenterState: { _enum: 'quadCenterState', _value: 'QCSAverage' },
+                    offset: {
+                        _obj: 'offset',
+                        horizontal: { _unit: 'pixelsUnit', _value: 0 },
+                        vertical: { _unit: 'pixelsUnit', _value: 0 }
+                    }
+                }], {});
+
+                const layer = app.activeDocument.activeLayers[0];
+                layer.name = name;
+
+                const placed = layer.bounds;
+                const scale = (fit === 'cover' ? Math.max : Math.min)(
+                    (bounds.right - bounds.left) / (placed.right - placed.left),
+                    (bounds.bottom - bounds.top) / (placed.bottom - placed.top)
+                ) * 100;
+                await layer.scale(scale, scale);
+
+                const scaled = layer.bounds;
+                await layer.translate(
+                    (bounds.left + bounds.right) / 2 - (scaled.left + scaled.right) / 2,
+                    (bounds.top + bounds.bottom) / 2 - (scaled.top + scaled.bottom) / 2
+                );
+            }, { commandName: 'PlaceImage' });
+
+            return { success: true, name };
+        } catch (error) {
+            this.logger.error('Failed to place image', error, { name });
+            if (this.errorHandler) {
+                await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, { operation: 'placeImage' });
+            }
+            throw error;
+        }
+    }
+
     // ==========================================
     // FILTER/ADJUSTMENT OPERATIONS
     // ==========================================
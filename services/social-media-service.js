@@ -4,31 +4,102 @@
 // ==========================================
 
 class SocialMediaService {
-    constructor(photoshopService, logger, errorHandler) {
+    constructor(photoshopService, logger, errorHandler, presetStore = null, exportService = null) {
         this.ps = photoshopService;
         this.logger = logger || console;
         this.errorHandler = errorHandler;
+        this.exportService = exportService;
 
         // Platform specifications
         this.platforms = {
-            instagram: { size: 1080, name: 'Instagram' },
-            facebook: { size: 400, name: 'Facebook' },
-            twitter: { size: 180, name: 'Twitter' },
-            linkedin: { size: 400, name: 'LinkedIn' },
-            youtube: { size: 800, name: 'YouTube' },
-            tiktok: { size: 200, name: 'TikTok' }
+            instagram: { size: 1080, name: 'Instagram', icon: '📸', shape: 'circle' },
+            facebook: { size: 400, name: 'Facebook', icon: '👤', shape: 'circle' },
+            twitter: { size: 180, name: 'Twitter', icon: '🐦', shape: 'circle' },
+            linkedin: { size: 400, name: 'LinkedIn', icon: '💼', shape: 'circle' },
+            youtube: { size: 800, name: 'YouTube', icon: '▶️', shape: 'circle' },
+            tiktok: { size: 200, name: 'TikTok', icon: '🎵', shape: 'circle' }
+        };
+
+        // User-defined platforms loaded from the preset store. Its items are the
+        // platform configs keyed by id: { name, width, height, shape, maxFileSizeKB, format }
+        this.platformPresets = new PresetCollection(presetStore, {
+            label: 'platform',
+            validator: this.ps.validator,
+            builtIns: this.platforms,
+            fields: { required: ['width', 'height'], optional: ['shape', 'maxFileSizeKB', 'format', 'icon'] },
+            validate: entry => this._validatePlatformFields(entry),
+            build: entry => this._toPlatformConfig(entry)
+        });
+        this.platformFormats = ['png', 'jpg', 'webp'];
+
+        // Avatar display shapes. cornerRadius is a share of the shorter side.
+        this.shapes = {
+            circle: { name: 'Circle', cornerRadius: 0 },
+            rounded: { name: 'Rounded Square', cornerRadius: 0.2 }
+        };
+
+        this.shapeGuideLayerName = 'Avatar Shape Preview';
+
+        // Non-square banner, cover and story formats.
+        // safeZone is the area (in output pixels) that stays visible on every
+        // device and is not covered by the avatar or UI chrome.
+        this.bannerPresets = {
+            facebook_cover: {
+                name: 'Facebook Cover',
+                icon: '👤',
+                width: 820,
+                height: 312,
+                safeZone: { left: 90, top: 0, right: 730, bottom: 312 },
+                covered: [{ name: 'Profile picture', left: 16, top: 140, right: 192, bottom: 312 }]
+            },
+            twitter_header: {
+                name: 'X/Twitter Header',
+                icon: '🐦',
+                width: 1500,
+                height: 500,
+                safeZone: { left: 260, top: 60, right: 1500, bottom: 440 },
+                covered: [{ name: 'Profile picture', left: 45, top: 350, right: 245, bottom: 500 }]
+            },
+            linkedin_banner: {
+                name: 'LinkedIn Banner',
+                icon: '💼',
+                width: 1584,
+                height: 396,
+                safeZone: { left: 424, top: 40, right: 1544, bottom: 356 },
+                covered: [{ name: 'Profile picture', left: 24, top: 180, right: 424, bottom: 396 }]
+            },
+            youtube_channel_art: {
+                name: 'YouTube Channel Art',
+                icon: '▶️',
+                width: 2560,
+                height: 1440,
+                safeZone: { left: 507, top: 509, right: 2053, bottom: 932 },
+                covered: []
+            },
+            story: {
+                name: 'Story (Instagram/Facebook/TikTok)',
+                icon: '📲',
+                width: 1080,
+                height: 1920,
+                safeZone: { left: 65, top: 250, right: 1015, bottom: 1580 },
+                covered: [
+                    { name: 'Header', left: 0, top: 0, right: 1080, bottom: 250 },
+                    { name: 'Reply bar', left: 0, top: 1580, right: 1080, bottom: 1920 }
+                ]
+            }
         };
     }
 
-    async createProfilePicture(platform, cropMode = 'center') {
+    async createProfilePicture(platform, cropMode = 'center', options = {}) {
         try {
             this.logger.info('Creating profile picture', { platform, cropMode });
 
             // Validate platform
-            const platformConfig = this.platforms[platform.toLowerCase()];
+            const platformConfig = this.getPlatform(platform);
             if (!platformConfig) {
                 throw new Error(`Unknown platform: ${platform}`);
             }
+            const { width, height } = this._getPlatformDimensions(platformConfig);
 
             // Get current document
             const doc = await this.ps.getActiveDocument();
@@ -40,30 +111,30 @@ class SocialMediaService {
             // Create snapshot for undo capability
             await this.ps.createHistorySnapshot('Before Profile Pic Creation');
 
-            // Step 1: Crop to square
-            this.logger.info('Cropping to square', { method: cropMode });
-            await this.ps.cropToSquare(null, cropMode);
-
-            // Step 2: Resize to target platform size
-            this.logger.info('Resizing to platform size', { size: platformConfig.size });
-            await this.ps.resizeImage(platformConfig.size, platformConfig.size, 'bicubic');
+            const crop = await this._renderPlatform(platformConfig, cropMode, options);
 
-            // Step 3: Flatten for optimization
-            try {
-                await this.ps.flattenImage();
-                this.logger.info('Image flattened for optimization');
-            } catch (error) {
-                this.logger.warn('Could not flatten image, may already be flattened', error);
+            // Step 4: Dim the corners the platform will clip away
+            const shape = platformConfig.shape || 'circle';
+            if (options.showShapeGuide && this.shapes[shape]) {
+                try {
+                    await this.addShapeGuide(shape);
+                } catch (error) {
+                    this.logger.warn('Could not add avatar shape preview', error);
+                }
             }
 
             this.logger.info(`${platformConfig.name} profile picture created successfully`, {
-                finalSize: platformConfig.size
+                finalSize: `${width}x${height}`
             });
 
             return {
                 success: true,
                 platform: platformConfig.name,
-                size: platformConfig.size,
+                size: platformConfig.size || width,
+                width,
+                height,
+                cropMethod: crop.method,
+                shape: platformConfig.shape || 'circle',
                 originalDimensions: { width: originalWidth, height: originalHeight }
             };
 
@@ -82,7 +153,247 @@ class SocialMediaService {
         }
     }
 
-    async createCustomSize(width, height, cropMode = 'center') {
+    async _renderPlatform(platformConfig, cropMode, options = {}) {
+        const { width, height } = this._getPlatformDimensions(platformConfig);
+
+        // Step 1: Crop to the platform aspect ratio
+        this.logger.info('Cropping to platform ratio', { method: cropMode, width, height });
+        const crop = await this.ps.getCropBounds(width / height, cropMode, options);
+        await this.ps.cropImage(crop.bounds.left, crop.bounds.top, crop.bounds.right, crop.bounds.bottom);
+
+        // Step 2: Resize to target platform size
+        this.logger.info('Resizing to platform size', { width, height });
+        await this.ps.resizeImage(width, height, 'bicubic');
+
+        // Step 3: Flatten for optimization
+        try {
+            await this.ps.flattenImage();
+            this.logger.info('Image flattened for optimization');
+        } catch (error) {
+            this.logger.warn('Could not flatten image, may already be flattened', error);
+        }
+
+        return crop;
+    }
+
+    // ==========================================
+    // AVATAR SHAPES
+    // ==========================================
+
+    _getShapeSelection(doc, shape, cornerRadius = null) {
+        const shapeConfig = this.shapes[shape];
+        if (!shapeConfig) {
+            throw new Error(`Unknown avatar shape: ${shape}`);
+        }
+
+        const bounds = { left: 0, top: 0, right: doc.width, bottom: doc.height };
+        const radiusShare = cornerRadius !== null ? cornerRadius : shapeConfig.cornerRadius;
+
+        return {
+            bounds,
+            selectionShape: shape === 'circle' ? 'ellipse' : 'rounded',
+            radius: Math.round(Math.min(doc.width, doc.height) * radiusShare)
+        };
+    }
+
+    // Adds a layer that darkens everything outside the avatar shape,
+    // so it is visible what the platform will clip.
+    async addShapeGuide(shape = 'circle', cornerRadius = null) {
+        try {
+            this.logger.info('Adding avatar shape preview', { shape, cornerRadius });
+
+            const doc = await this.ps.getActiveDocument();
+            const selection = this._getShapeSelection(doc, shape, cornerRadius);
+
+            await this.removeShapeGuide();
+            await this.ps.createLayer(this.shapeGuideLayerName);
+            await this.ps.selectShape(selection.bounds, selection.selectionShape, selection.radius);
+            await this.ps.invertSelection();
+            await this.ps.fillSelection({ r: 0, g: 0, b: 0 }, 50);
+            await this.ps.deselect();
+
+            return { success: true, layerName: this.shapeGuideLayerName };
+        } catch (error) {
+            this.logger.error('Failed to add avatar shape preview', error);
+            throw error;
+        }
+    }
+
+    async removeShapeGuide() {
+        try {
+            await this.ps.deleteLayerByName(this.shapeGuideLayerName);
+            return true;
+        } catch (error) {
+            // No preview layer in this document
+            return false;
+        }
+    }
+
+    // Saves a copy of the active document clipped to the avatar shape,
+    // with a transparent background outside it
+    async exportMaskedAvatar(file, shape = 'circle', cornerRadius = null) {
+        try {
+            this.logger.info('Exporting masked avatar', { name: file.name, shape, cornerRadius });
+
+            const source = await this.ps.getActiveDocument();
+            let copy = null;
+
+            try {
+                copy = await this.ps.duplicateDocument(file.name);
+
+                // The preview layer must not end up in the output
+                await this.removeShapeGuide();
+                try {
+                    await this.ps.flattenImage();
+                } catch (error) {
+                    this.logger.warn('Could not flatten image', error);
+                }
+
+                const selection = this._getShapeSelection(copy, shape, cornerRadius);
+                await this.ps.convertBackgroundToLayer('Avatar');
+                await this.ps.selectShape(selection.bounds, selection.selectionShape, selection.radius);
+                await this.ps.invertSelection();
+                await this.ps.deleteSelection();
+                await this.ps.deselect();
+
+                await this.ps.saveDocumentAs(file, 'png');
+            } finally {
+                if (copy) {
+                    try {
+                        await this.ps.closeDocument(copy);
+                    } catch (closeError) {
+                        this.logger.warn('Could not close masked avatar working copy', closeError);
+                    }
+                }
+                await this.ps.activateDocument(source);
+            }
+
+            this.logger.info('Masked avatar exported', { name: file.name });
+
+            return {
+                success: true,
+                fileName: file.name,
+                shape: this.shapes[shape].name
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to export masked avatar', error, { shape });
+
+            if (this.errorHandler) {
+                await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, {
+                    operation: 'exportMaskedAvatar',
+                    shape
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    // ==========================================
+    // AVATAR PACK
+    // ==========================================
+
+    async exportAvatarPack(platformIds, folder, cropMode = 'center', options = {}) {
+        try {
+            this.logger.info('Exporting avatar pack', { platformIds, folder: folder.name, cropMode });
+
+            if (!platformIds || platformIds.length === 0) {
+                throw new Error('Select at least one platform to export');
+            }
+
+            const unknown = platformIds.filter(id => !this.getPlatform(id));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown platform: ${unknown.join(', ')}`);
+            }
+
+            // Every platform is rendered on a throwaway duplicate,
+            // so the source document is never modified
+            const source = await this.ps.getActiveDocument();
+            const files = [];
+            const failed = [];
+
+            // Copies are made from the source explicitly, so it only has to be
+            // made active again once the whole pack is done
+            try {
+                for (const id of platformIds) {
+                    const platformConfig = this.getPlatform(id);
+                    const { width, height } = this._getPlatformDimensions(platformConfig);
+                    const format = platformConfig.format || 'png';
+                    const baseName = width === height
+                        ? `${id.toLowerCase()}_${width}`
+                        : `${id.toLowerCase()}_${width}x${height}`;
+
+                    let copy = null;
+                    try {
+                        copy = await this.ps.duplicateDocument(baseName, source);
+                        await this._renderPlatform(platformConfig, cropMode, options);
+
+                        const saved = await this._savePackEntry(folder, baseName, format, platformConfig.maxFileSizeKB);
+
+                        files.push({ platform: platformConfig.name, fileName: saved.fileName, width, height, sizeKB: saved.sizeKB });
+                        this.logger.info('Pack entry exported', { fileName: saved.fileName });
+                    } catch (error) {
+                        this.logger.error('Failed to export pack entry', error, { platform: id });
+                        failed.push({ platform: platformConfig.name, error: error.message });
+                    } finally {
+                        if (copy) {
+                            try {
+                                await this.ps.closeDocument(copy);
+                            } catch (closeError) {
+                                this.logger.warn('Could not close pack working copy', closeError);
+                            }
+                        }
+                    }
+                }
+            } finally {
+                try {
+                    await this.ps.activateDocument(source);
+                } catch (activateError) {
+                    this.logger.warn('Could not reactivate the source document', activateError);
+                }
+            }
+
+            this.logger.info('Avatar pack exported', { exported: files.length, failed: failed.length });
+
+            return {
+                success: failed.length === 0,
+                folder: folder.name,
+                files,
+                failed
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to export avatar pack', error, { platformIds });
+
+            if (this.errorHandler) {
+                await this.errorHandler.handle('PHOTOSHOP_API_ERROR', error, {
+                    operation: 'exportAvatarPack',
+                    platformIds
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    async _savePackEntry(folder, baseName, format, maxFileSizeKB) {
+        // The export service handles formats and size budgets when available
+        if (this.exportService) {
+            return await this.exportService.exportActiveDocument(folder, {
+                format,
+                fileName: baseName,
+                maxFileSizeKB: maxFileSizeKB || null
+            });
+        }
+
+        const fileName = `${baseName}.${format}`;
+        const file = await folder.createFile(fileName, { overwrite: true });
+        await this.ps.saveDocumentAs(file, format);
+        return { fileName, sizeKB: null };
+    }
+
+    async createCustomSize(width, height, cropMode = 'center', options = {}) {
         try {
             this.logger.info('Creating custom size profile picture', { width, height, cropMode });
 
@@ -94,54 +405,9 @@ class SocialMediaService {
             // Create snapshot
             await this.ps.createHistorySnapshot('Before Custom Resize');
 
-            // Calculate crop dimensions
-            const targetRatio = width / height;
-            const currentRatio = originalWidth / originalHeight;
-
-            let cropBounds;
-
-            if (cropMode === 'center') {
-                if (currentRatio > targetRatio) {
-                    // Image is wider - crop width
-                    const newWidth = originalHeight * targetRatio;
-                    const offset = (originalWidth - newWidth) / 2;
-                    cropBounds = {
-                        left: offset,
-                        top: 0,
-                        right: offset + newWidth,
-                        bottom: originalHeight
-                    };
-                } else {
-                    // Image is taller - crop height
-                    const newHeight = originalWidth / targetRatio;
-                    const offset = (originalHeight - newHeight) / 2;
-                    cropBounds = {
-                        left: 0,
-                        top: offset,
-                        right: originalWidth,
-                        bottom: offset + newHeight
-                    };
-                }
-            } else {
-                // Smart/top-left crop
-                if (currentRatio > targetRatio) {
-                    const newWidth = originalHeight * targetRatio;
-                    cropBounds = {
-                        left: 0,
-                        top: 0,
-                        right: newWidth,
-                        bottom: originalHeight
-                    };
-                } else {
-                    const newHeight = originalWidth / targetRatio;
-                    cropBounds = {
-                        left: 0,
-                        top: 0,
-                        right: originalWidth,
-                        bottom: newHeight
-                    };
-                }
-            }
+            // Calculate crop bounds
+            const crop = await this.ps.getCropBounds(width / height, cropMode, options);
+            const cropBounds = crop.bounds;
 
             // Crop to target ratio
             await this.ps.cropImage(
@@ -167,6 +433,7 @@ class SocialMediaService {
                 success: true,
                 width,
                 height,
+                cropMethod: crop.method,
                 originalDimensions: { width: originalWidth, height: originalHeight }
             };
 
@@ -186,13 +453,178 @@ class SocialMediaService {
         }
     }
 
-    getPlatformsList() {
-        return Object.entries(this.platforms).map(([key, value]) => ({
+    async createBanner(presetId, cropMode = 'center', showSafeZone = true, options = {}) {
+        try {
+            this.logger.info('Creating banner', { presetId, cropMode, showSafeZone });
+
+            const preset = this.bannerPresets[presetId.toLowerCase()];
+            if (!preset) {
+                throw new Error(`Unknown banner preset: ${presetId}`);
+            }
+
+            const zone = preset.safeZone;
+            const focus = this._getSafeZoneFocus(preset);
+
+            const result = await this.createCustomSize(preset.width, preset.height, cropMode, { ...options, focus });
+
+            if (showSafeZone) {
+                try {
+                    await this.ps.addGuideRect(zone);
+                } catch (error) {
+                    this.logger.warn('Could not add safe zone guides', error);
+                }
+            }
+
+            this.logger.info(`${preset.name} created successfully`);
+
+            return {
+                ...result,
+                preset: preset.name,
+                safeZone: zone,
+                covered: preset.covered
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to create banner', error, { presetId, cropMode });
+            throw error;
+        }
+    }
+
+    // Returns the crop createBanner would apply, without applying it
+    async proposeBannerCrop(presetId, cropMode = 'center', options = {}) {
+        const preset = this.bannerPresets[presetId.toLowerCase()];
+        if (!preset) {
+            throw new Error(`Unknown banner preset: ${presetId}`);
+        }
+
+        const crop = await this.ps.getCropBounds(preset.width / preset.height, cropMode, {
+            ...options,
+            focus: this._getSafeZoneFocus(preset)
+        });
+        return crop.bounds;
+    }
+
+    // Keep the middle of the source inside the safe zone
+    _getSafeZoneFocus(preset) {
+        const zone = preset.safeZone;
+        return {
+            x: (zone.left + zone.right) / 2 / preset.width,
+            y: (zone.top + zone.bottom) / 2 / preset.height
+        };
+    }
+
+    getBannerPresetsList() {
+        return Object.entries(this.bannerPresets).map(([key, value]) => ({
             id: key,
             name: value.name,
-            size: value.size
+            width: value.width,
+            height: value.height,
+            icon: value.icon
         }));
     }
+
+    // ==========================================
+    // PLATFORMS
+    // ==========================================
+
+    getPlatform(platformId) {
+        const id = platformId.toLowerCase();
+        return this.platforms[id] || this.customPlatforms[id] || null;
+    }
+
+    _getPlatformDimensions(platformConfig) {
+        return {
+            width: platformConfig.width || platformConfig.size,
+            height: platformConfig.height || platformConfig.size
+        };
+    }
+
+    getPlatformsList() {
+        const builtIn = Object.entries(this.platforms).map(([key, value]) => ({ key, value, custom: false }));
+        const custom = Object.entries(this.customPlatforms).map(([key, value]) => ({ key, value, custom: true }));
+
+        return [...builtIn, ...custom].map(({ key, value, custom: isCustom }) => {
+            const { width, height } = this._getPlatformDimensions(value);
+            return {
+                id: key,
+                name: value.name,
+                size: value.size || width,
+                width,
+                height,
+                icon: value.icon,
+                shape: value.shape,
+                format: value.format || 'png',
+                maxFileSizeKB: value.maxFileSizeKB || null,
+                custom: isCustom
+            };
+        });
+    }
+
+    // ==========================================
+    // CUSTOM PLATFORM PRESETS
+    // ==========================================
+
+    get customPlatforms() {
+        return this.platformPresets.items;
+    }
+
+    async loadCustomPlatforms() {
+        return await this.platformPresets.load();
+    }
+
+    getCustomPlatforms() {
+        return this.platformPresets.getEntries();
+    }
+
+    validatePlatformPreset(entry, isUpdate = false) {
+        return this.platformPresets.validate(entry, isUpdate);
+    }
+
+    _validatePlatformFields(entry) {
+        const validator = this.ps.validator;
+
+        const dimValidation = validator.validateDimensions(entry.width, entry.height, 16, 16, 10000, 10000);
+        if (!dimValidation.valid) {
+            return dimValidation;
+        }
+
+        const shapeValidation = validator.validateEnum(entry.shape, [...Object.keys(this.shapes), 'square'], false);
+        if (!shapeValidation.valid) {
+            return { valid: false, error: `Shape: ${shapeValidation.error}` };
+        }
+
+        const formatValidation = validator.validateEnum(entry.format, this.platformFormats, false);
+        if (!formatValidation.valid) {
+            return { valid: false, error: `Format: ${formatValidation.error}` };
+        }
+
+        const sizeValidation = validator.validateNumber(entry.maxFileSizeKB, 1, null, false);
+        if (!sizeValidation.valid) {
+            return { valid: false, error: `Max file size: ${sizeValidation.error}` };
+        }
+
+        return { valid: true };
+    }
+
+    async saveCustomPlatform(entry, isUpdate = false) {
+        return await this.platformPresets.save(entry, isUpdate);
+    }
+
+    async deleteCustomPlatform(id) {
+        return await this.platformPresets.remove(id);
+    }
+
+    _toPlatformConfig(entry) {
+        return {
+            name: entry.name,
+            width: Number(entry.width),
+            height: Number(entry.height),
+            shape: entry.shape || 'circle',
+            format: entry.format || 'png',
+            maxFileSizeKB: entry.maxFileSizeKB ? Number(entry.maxFileSizeKB) : null,
+            icon: entry.icon || '⭐'
+        };
+    }
 }
 
 // Export
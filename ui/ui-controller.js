@@ -211,6 +211,212 @@ class UIController {
         }
     }
 
+    isChecked(inputId) {
+        try {
+            const input = document.getElementById(inputId);
+            return !!(input && input.checked);
+        } catch (error) {
+            this.logger.error('Error reading checkbox', error, { inputId });
+            return false;
+        }
+    }
+
+    setChecked(inputId, checked) {
+        try {
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.checked = !!checked;
+            }
+        } catch (error) {
+            this.logger.error('Error setting checkbox', error, { inputId });
+        }
+    }
+
+    populateSelect(selectId, options, selectedValue = null) {
+        try {
+            const select = document.getElementById(selectId);
+            if (!select) {
+                this.logger.warn('Select not found', { selectId });
+                return;
+            }
+
+            const previousValue = selectedValue !== null ? selectedValue : select.value;
+
+            select.innerHTML = '';
+            options.forEach(option => {
+                const el = document.createElement('option');
+                el.value = option.value;
+                el.textContent = option.label;
+                select.appendChild(el);
+            });
+
+            if (options.some(option => option.value === previousValue)) {
+                select.value = previousValue;
+            }
+        } catch (error) {
+            this.logger.error('Error populating select', error, { selectId });
+        }
+    }
+
+    renderCheckboxList(containerId, items, checked = true) {
+        try {
+            const container = document.getElementById(containerId);
+            if (!container) {
+                this.logger.warn('Container not found', { containerId });
+                return;
+            }
+
+            container.innerHTML = '';
+            items.forEach(item => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = item.value;
+                checkbox.checked = checked;
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(` ${item.label}`));
+                container.appendChild(label);
+            });
+        } catch (error) {
+            this.logger.error('Error rendering checkbox list', error, { containerId });
+        }
+    }
+
+    getCheckedValues(containerId) {
+        try {
+            const container = document.getElementById(containerId);
+            if (!container) return [];
+
+            return Array.from(container.querySelectorAll('input[type="checkbox"]'))
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => checkbox.value);
+        } catch (error) {
+            this.logger.error('Error reading checkbox list', error, { containerId });
+            return [];
+        }
+    }
+
+    // Renders rows of "label [action] [action]"; each action receives the item id
+    renderItemList(containerId, items, actions = [], emptyText = '') {
+        try {
+            const container = document.getElementById(containerId);
+            if (!container) {
+                this.logger.warn('Container not found', { containerId });
+                return;
+            }
+
+            container.innerHTML = '';
+
+            if (items.length === 0 && emptyText) {
+                const empty = document.createElement('p');
+                empty.style.cssText = 'font-size: 11px; color: #a0aec0; margin: 4px 0;';
+                empty.textContent = emptyText;
+                container.appendChild(empty);
+                return;
+            }
+
+            items.forEach(item => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 4px 0; font-size: 12px;';
+
+                const label = document.createElement('span');
+                label.style.flex = '1';
+                label.textContent = item.label;
+                row.appendChild(label);
+
+                actions.forEach(action => {
+                    const btn = document.createElement('button');
+                    btn.className = 'secondary';
+                    btn.style.cssText = 'width: auto; padding: 4px 8px; margin: 0; font-size: 11px;';
+                    btn.textContent = action.label;
+                    btn.addEventListener('click', () => action.onClick(item.id));
+                    row.appendChild(btn);
+                });
+
+                container.appendChild(row);
+            });
+        } catch (error) {
+            this.logger.error('Error rendering item list', error, { containerId });
+        }
+    }
+
+    // Renders a row of clickable color squares; onClick receives the color
+    renderSwatches(containerId, colors, onClick, emptyText = '') {
+        try {
+            const container = document.getElementById(containerId);
+            if (!container) {
+                this.logger.warn('Container not found', { containerId });
+                return;
+            }
+
+            container.innerHTML = '';
+
+            if (colors.length === 0 && emptyText) {
+                const empty = document.createElement('p');
+                empty.style.cssText = 'font-size: 11px; color: #a0aec0; margin: 4px 0;';
+                empty.textContent = emptyText;
+                container.appendChild(empty);
+                return;
+            }
+
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px; margin: 4px 0;';
+
+            colors.forEach(color => {
+                const swatch = document.createElement('div');
+                swatch.style.cssText = `width: 22px; height: 22px; border-radius: 4px; border: 1px solid #cbd5e0; cursor: pointer; background-color: ${color};`;
+                swatch.title = color;
+                swatch.addEventListener('click', () => onClick(color));
+                row.appendChild(swatch);
+            });
+
+            container.appendChild(row);
+        } catch (error) {
+            this.logger.error('Error rendering swatches', error, { containerId });
+        }
+    }
+
+    setSwatchColor(elementId, color) {
+        try {
+            const el = document.getElementById(elementId);
+            if (el) {
+                el.style.backgroundColor = color;
+            }
+        } catch (error) {
+            this.logger.error('Error setting swatch color', error, { elementId });
+        }
+    }
+
+    // Renders a pass/fail checklist. rows: [{ passed, text }]
+    renderChecklist(containerId, title, rows) {
+        try {
+            const container = document.getElementById(containerId);
+            if (!container) {
+                this.logger.warn('Container not found', { containerId });
+                return;
+            }
+
+            container.innerHTML = '';
+            if (!title && rows.length === 0) return;
+
+            if (title) {
+                const heading = document.createElement('p');
+                heading.style.cssText = 'font-size: 12px; font-weight: 600; margin: 8px 0 4px 0;';
+                heading.textContent = title;
+                container.appendChild(heading);
+            }
+
+            rows.forEach(row => {
+                const line = document.createElement('p');
+                line.style.cssText = `font-size: 12px; margin: 2px 0; color: ${row.passed ? '#2f855a' : '#c53030'};`;
+                line.textContent = `${row.passed ? '✓' : '✗'} ${row.text}`;
+                container.appendChild(line);
+            });
+        } catch (error) {
+            this.logger.error('Error rendering checklist', error, { containerId });
+        }
+    }
+
     disableInput(inputId) {
         try {
             const input = document.getElementById(inputId);